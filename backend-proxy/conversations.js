@@ -0,0 +1,152 @@
+// Conversation sessions for the AAC proxy. A session records what the
+// caregiver says (typed or transcribed) and the phrases the user says, so the
+// last few turns can go into the prompt: after "¿Qué quieres beber?" the
+// pictogram "agua" becomes an answer. Sessions live in memory and expire after
+// a while without turns.
+
+const crypto = require('crypto');
+
+const TURN_ROLES = ['caregiver', 'user'];
+const TURN_SOURCES = ['typed', 'transcribed', 'generated'];
+const DEFAULT_TTL_MINUTES = 30;      // Without turns for this long, a session ends
+const DEFAULT_WINDOW_TURNS = 6;      // Recent turns put in the prompt
+const MAX_STORED_TURNS = 50;         // Older turns are dropped from the session
+const MAX_SESSIONS = 500;            // The oldest session ends when a new one exceeds it
+const MAX_TURN_LENGTH = 300;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Checked { role, text, source } of a new turn; throws with a readable message
+function validateTurn(input) {
+  const { role, text, source } = input || {};
+  if (!TURN_ROLES.includes(role)) throw new Error(`role must be one of ${TURN_ROLES.join(', ')}`);
+  if (typeof text !== 'string' || !text.trim()) throw new Error('text must be a non-empty string');
+  if (source !== undefined && !TURN_SOURCES.includes(source)) throw new Error(`source must be one of ${TURN_SOURCES.join(', ')}`);
+  return {
+    role,
+    text: text.trim().replace(/\s+/g, ' ').slice(0, MAX_TURN_LENGTH),
+    source: source || (role === 'user' ? 'generated' : 'typed')
+  };
+}
+
+// Prompt lines, in both languages of the app
+const CONVERSATION_TEXT = {
+  en: {
+    title: 'Recent conversation (oldest first):',
+    caregiver: 'Caregiver',
+    user: 'Person',
+    answer: 'The caregiver spoke last: the phrase should reply to them.'
+  },
+  es: {
+    title: 'Conversación reciente (de más antigua a más reciente):',
+    caregiver: 'Cuidador',
+    user: 'Persona',
+    answer: 'El cuidador ha hablado el último: la frase debe responderle.'
+  }
+};
+
+// Prompt context for the last turns of a conversation ('' when there are none)
+function describeConversation(turns, { language = 'es' } = {}) {
+  if (!turns || !turns.length) return '';
+  const text = CONVERSATION_TEXT[language] || CONVERSATION_TEXT.es;
+  const lines = turns.map(turn => `- ${text[turn.role]}: ${turn.text}`);
+  if (turns[turns.length - 1].role === 'caregiver') lines.push(text.answer);
+  return [text.title, ...lines].join('\n');
+}
+
+// In-memory sessions by id. `ttlMs` is the idle time before a session expires
+// and `windowTurns` how many recent turns `recentTurns` returns.
+function createConversationStore({
+  ttlMs = DEFAULT_TTL_MINUTES * 60 * 1000,
+  windowTurns = DEFAULT_WINDOW_TURNS,
+  now = () => Date.now()
+} = {}) {
+  const sessions = new Map();   // id -> session, oldest activity first
+
+  function expired(session) {
+    return now() - session.updatedAt > ttlMs;
+  }
+
+  // The session (null when unknown or expired; expired ones are dropped)
+  function find(id) {
+    const session = sessions.get(String(id || ''));
+    if (!session) return null;
+    if (expired(session)) {
+      sessions.delete(session.id);
+      return null;
+    }
+    return session;
+  }
+
+  // Keeps the map ordered by activity, so the first entry is the oldest
+  function touch(session) {
+    session.updatedAt = now();
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+  }
+
+  // What the API returns for a session
+  function view(session) {
+    return {
+      id: session.id,
+      userId: session.userId,
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      expiresAt: new Date(session.updatedAt + ttlMs).toISOString(),
+      turns: session.turns
+    };
+  }
+
+  function sweep() {
+    for (const session of sessions.values()) {
+      if (!expired(session)) break;
+      sessions.delete(session.id);
+    }
+  }
+
+  return {
+    start(userId = null) {
+      sweep();
+      const session = {
+        id: crypto.randomUUID(),
+        userId: userId ? String(userId) : null,
+        createdAt: now(),
+        updatedAt: now(),
+        turns: []
+      };
+      sessions.set(session.id, session);
+      if (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+      return view(session);
+    },
+    get(id) {
+      const session = find(id);
+      return session ? view(session) : null;
+    },
+    // Adds a turn; null when the session is unknown or expired
+    addTurn(id, input) {
+      const turn = { ...validateTurn(input), at: new Date(now()).toISOString() };
+      const session = find(id);
+      if (!session) return null;
+      session.turns.push(turn);
+      if (session.turns.length > MAX_STORED_TURNS) session.turns.shift();
+      touch(session);
+      return turn;
+    },
+    // Last turns for the prompt (empty when the session is unknown or expired)
+    recentTurns(id) {
+      const session = find(id);
+      return session ? session.turns.slice(-windowTurns) : [];
+    },
+    end(id) {
+      return find(id) ? sessions.delete(String(id)) : false;
+    },
+    size: () => sessions.size,
+    // Drops expired sessions every minute; the timer does not keep the process alive
+    startSweeping() {
+      const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+      if (timer.unref) timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { TURN_ROLES, TURN_SOURCES, validateTurn, describeConversation, createConversationStore };
@@ -0,0 +1,220 @@
+// Personal profiles for the AAC proxy. Each user of the frontend (by profile
+// id) can have who they are, who looks after them, how they speak and where
+// they are now stored here; with the time of day it becomes a fixed block of
+// prompt context, so phrases say "María" instead of "my caregiver". Profiles
+// are kept in a JSON file (PERSONAL_PROFILES_FILE) next to the proxy.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'data', 'personal-profiles.json');
+const PROFILE_ID_PATTERN = /^[\p{L}\p{N}-]{1,64}$/u;   // Same ids as the frontend profiles
+const FORMALITY_LEVELS = ['informal', 'formal'];
+const MAX_TEXT_LENGTH = 100;
+const MAX_LIST_LENGTH = 20;
+
+// Fields of a profile and the kind of value each one takes
+const PROFILE_FIELDS = {
+  name: 'text',
+  pronouns: 'text',
+  caregivers: 'caregivers',   // [{ name, relation }]
+  formality: 'formality',
+  foods: 'list',
+  activities: 'list',
+  location: 'text'
+};
+
+// Hours where each part of the day starts
+const DAY_PARTS = [[0, 'night'], [6, 'morning'], [12, 'afternoon'], [20, 'evening']];
+
+function cleanText(value, field) {
+  if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+  return value.trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+function cleanList(value, field, cleanItem) {
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array`);
+  if (value.length > MAX_LIST_LENGTH) throw new Error(`${field} can have at most ${MAX_LIST_LENGTH} items`);
+  return value.map((item, i) => cleanItem(item, `${field}[${i}]`)).filter(item => item !== '' && item !== null);
+}
+
+// Checked copy of the fields in `input`; throws with a readable message.
+// Unknown fields are an error so typos do not go unnoticed. `null` clears a
+// field.
+function validateProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('The profile must be a JSON object');
+  const profile = {};
+  Object.entries(input).forEach(([field, value]) => {
+    const kind = PROFILE_FIELDS[field];
+    if (!kind) throw new Error(`Unknown field "${field}" (use ${Object.keys(PROFILE_FIELDS).join(', ')})`);
+    if (value === null) {
+      profile[field] = null;
+    } else if (kind === 'text') {
+      profile[field] = cleanText(value, field);
+    } else if (kind === 'list') {
+      profile[field] = cleanList(value, field, cleanText);
+    } else if (kind === 'formality') {
+      if (!FORMALITY_LEVELS.includes(value)) throw new Error(`formality must be one of ${FORMALITY_LEVELS.join(', ')}`);
+      profile[field] = value;
+    } else if (kind === 'caregivers') {
+      profile[field] = cleanList(value, field, (item, name) => {
+        // A plain string is a caregiver's name
+        if (typeof item === 'string') item = { name: item };
+        if (!item || typeof item !== 'object') throw new Error(`${name} must be a name or { name, relation }`);
+        const caregiver = { name: cleanText(item.name, `${name}.name`) };
+        if (item.relation) caregiver.relation = cleanText(item.relation, `${name}.relation`);
+        return caregiver.name ? caregiver : null;
+      });
+    }
+  });
+  return profile;
+}
+
+function dayPart(hour) {
+  return DAY_PARTS.filter(([start]) => hour >= start).pop()[1];
+}
+
+// Prompt lines, in both languages of the app
+const CONTEXT_TEXT = {
+  en: {
+    title: 'About the person (use it to make the phrase personal, without inventing anything):',
+    name: 'Name: {value}',
+    pronouns: 'Pronouns: {value}',
+    caregivers: 'Caregivers: {value}. Use their names instead of "my caregiver" when they are meant.',
+    formal: 'Addresses people formally.',
+    informal: 'Addresses people informally.',
+    foods: 'Foods they often ask for: {value}',
+    activities: 'Usual activities: {value}',
+    location: 'Current location: {value}',
+    time: 'Now: {weekday}, {time} ({part})',
+    parts: { morning: 'morning', afternoon: 'afternoon', evening: 'evening', night: 'night' }
+  },
+  es: {
+    title: 'Sobre la persona (úsalo para personalizar la frase, sin inventar nada):',
+    name: 'Nombre: {value}',
+    pronouns: 'Pronombres: {value}',
+    caregivers: 'Cuidadores: {value}. Usa sus nombres en lugar de "mi cuidador" cuando se refiera a ellos.',
+    formal: 'Trata a los demás de usted.',
+    informal: 'Trata a los demás de tú.',
+    foods: 'Comidas que pide a menudo: {value}',
+    activities: 'Actividades habituales: {value}',
+    location: 'Lugar actual: {value}',
+    time: 'Ahora: {weekday}, {time} ({part})',
+    parts: { morning: 'mañana', afternoon: 'tarde', evening: 'noche', night: 'madrugada' }
+  }
+};
+
+// Structured prompt context for a profile (may be null) at `now`: one line
+// per known field, always in the same order, then the day and time (in the
+// server's time zone; set TZ to change it).
+function describeProfile(profile, { language = 'es', now = new Date() } = {}) {
+  const text = CONTEXT_TEXT[language] || CONTEXT_TEXT.es;
+  const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+  const lines = [];
+  const p = profile || {};
+
+  if (p.name) lines.push(fill(text.name, { value: p.name }));
+  if (p.pronouns) lines.push(fill(text.pronouns, { value: p.pronouns }));
+  if (p.caregivers && p.caregivers.length) {
+    const value = p.caregivers.map(c => (c.relation ? `${c.name} (${c.relation})` : c.name)).join(', ');
+    lines.push(fill(text.caregivers, { value }));
+  }
+  if (p.formality) lines.push(text[p.formality]);
+  if (p.foods && p.foods.length) lines.push(fill(text.foods, { value: p.foods.join(', ') }));
+  if (p.activities && p.activities.length) lines.push(fill(text.activities, { value: p.activities.join(', ') }));
+  if (p.location) lines.push(fill(text.location, { value: p.location }));
+
+  const locale = language === 'en' ? 'en-GB' : 'es-ES';
+  lines.push(fill(text.time, {
+    weekday: now.toLocaleDateString(locale, { weekday: 'long' }),
+    time: now.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }),
+    part: text.parts[dayPart(now.getHours())]
+  }));
+
+  return [text.title, ...lines.map(line => `- ${line}`)].join('\n');
+}
+
+// Profiles by id in one JSON file, read once and written on every change
+function createProfileStore(file = DEFAULT_PROFILES_FILE) {
+  let profiles = null;
+  let loading = null;
+
+  // Read on first use (once, however many requests arrive meanwhile). Kept in
+  // an object without prototype, so ids like "constructor" are not found in it.
+  function load() {
+    loading = loading || fs.promises.readFile(file, 'utf8')
+      .then(text => {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The file must hold a JSON object');
+        return data;
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') console.error(`Could not read personal profiles from ${file}:`, error.message);
+        return {};
+      })
+      .then(data => { profiles = Object.assign(Object.create(null), data); return profiles; });
+    return loading;
+  }
+
+  // Written to a temporary file first so a crash never leaves half a file;
+  // writes wait for the previous one
+  let writing = Promise.resolve();
+  function save() {
+    const data = JSON.stringify(profiles, null, 2);
+    const temp = `${file}.tmp`;
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temp, data);
+      await fs.promises.rename(temp, file);
+    });
+    return writing;
+  }
+
+  function checkId(id) {
+    if (!PROFILE_ID_PATTERN.test(String(id || ''))) throw new Error('Invalid profile id');
+  }
+
+  // Fields set to null are removed
+  function compact(profile) {
+    Object.keys(profile).forEach(field => {
+      if (profile[field] === null) delete profile[field];
+    });
+    return profile;
+  }
+
+  return {
+    isValidId: (id) => PROFILE_ID_PATTERN.test(String(id || '')),
+    async get(id) {
+      checkId(id);
+      return (await load())[id] || null;
+    },
+    // Replace the whole profile
+    async put(id, input) {
+      checkId(id);
+      const fields = compact(validateProfile(input));
+      await load();
+      profiles[id] = { ...fields, updatedAt: new Date().toISOString() };
+      await save();
+      return profiles[id];
+    },
+    // Change some fields (e.g. only the location)
+    async patch(id, input) {
+      checkId(id);
+      const fields = validateProfile(input);
+      await load();
+      profiles[id] = compact({ ...(profiles[id] || {}), ...fields, updatedAt: new Date().toISOString() });
+      await save();
+      return profiles[id];
+    },
+    async remove(id) {
+      checkId(id);
+      await load();
+      if (!profiles[id]) return false;
+      delete profiles[id];
+      await save();
+      return true;
+    }
+  };
+}
+
+module.exports = { PROFILE_FIELDS, validateProfile, describeProfile, createProfileStore };
@@ -0,0 +1,196 @@
+// LLM providers for the AAC proxy. Every provider turns chat messages into a
+// reply with `complete(messages, options)`, or into the pieces of the reply as
+// they are generated with `stream(messages, options)` (an async iterator of
+// strings), so the endpoints do not depend on where the model runs. Both take
+// { maxTokens, temperature, signal }; aborting `signal` cancels the call.
+// LLM_PROVIDER in .env chooses one:
+//   azure              Azure OpenAI (the default when AZURE_OPENAI_ENDPOINT is set)
+//   openai-compatible  Any server with the OpenAI chat API (llama.cpp, Ollama, LM Studio...)
+//   mock               Deterministic replies without a model, for tests and demos
+//   none               No AI: phrases come from the local rule-based generator
+
+const { AzureOpenAI, OpenAI } = require('openai');
+
+const LLM_PROVIDERS = ['azure', 'openai-compatible', 'mock', 'none'];
+const DEFAULT_AZURE_API_VERSION = '2025-01-01-preview';
+const DEFAULT_LOCAL_TIMEOUT_MS = 20000;   // Local models on small machines can be slow
+
+// Text pieces of a streamed chat completion (OpenAI and Azure OpenAI clients)
+async function* streamCompletion(client, params, signal) {
+  const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+  for await (const chunk of stream) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` is aborted
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Request was aborted'));
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Request was aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+// Provider named in the configuration, or the one the variables point to
+function providerName(env) {
+  const name = (env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (name) return name;
+  return env.AZURE_OPENAI_ENDPOINT && env.DEPLOYMENT_NAME ? 'azure' : 'none';
+}
+
+// Azure OpenAI with an API key, or Azure AD when there is none (az login)
+function createAzureProvider(env) {
+  if (!env.AZURE_OPENAI_ENDPOINT || !env.DEPLOYMENT_NAME) {
+    throw new Error('AZURE_OPENAI_ENDPOINT and DEPLOYMENT_NAME must be configured in .env');
+  }
+  const apiVersion = env.API_VERSION || DEFAULT_AZURE_API_VERSION;
+  let client;
+  if (env.AZURE_OPENAI_API_KEY) {
+    client = new AzureOpenAI({ endpoint: env.AZURE_OPENAI_ENDPOINT, apiKey: env.AZURE_OPENAI_API_KEY, apiVersion });
+  } else {
+    // Only needed for Azure AD, so other providers run without it installed
+    const { DefaultAzureCredential, getBearerTokenProvider } = require('@azure/identity');
+    const azureADTokenProvider = getBearerTokenProvider(
+      new DefaultAzureCredential(),
+      'https://cognitiveservices.azure.com/.default'
+    );
+    client = new AzureOpenAI({ endpoint: env.AZURE_OPENAI_ENDPOINT, azureADTokenProvider, apiVersion });
+  }
+
+  return {
+    name: 'azure',
+    source: 'azure_openai',
+    label: 'Azure OpenAI',
+    model: env.DEPLOYMENT_NAME,
+    endpoint: env.AZURE_OPENAI_ENDPOINT,
+    details: { auth: env.AZURE_OPENAI_API_KEY ? 'api_key' : 'azure_ad', api_version: apiVersion },
+    async complete(messages, { maxTokens = 150, temperature = 0.7, signal } = {}) {
+      const completion = await client.chat.completions.create({
+        model: env.DEPLOYMENT_NAME,
+        messages,
+        max_completion_tokens: maxTokens,
+        temperature
+      }, { signal });
+      return completion.choices?.[0]?.message?.content?.trim() || '';
+    },
+    stream(messages, { maxTokens = 150, temperature = 0.7, signal } = {}) {
+      return streamCompletion(client, {
+        model: env.DEPLOYMENT_NAME,
+        messages,
+        max_completion_tokens: maxTokens,
+        temperature
+      }, signal);
+    }
+  };
+}
+
+// llama.cpp (llama-server), Ollama (http://localhost:11434/v1), LM Studio...
+// Most local servers accept any API key.
+function createOpenAICompatibleProvider(env) {
+  if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+    throw new Error('LLM_BASE_URL and LLM_MODEL must be configured in .env for openai-compatible');
+  }
+  const client = new OpenAI({
+    baseURL: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || 'not-needed',
+    timeout: Number(env.LLM_TIMEOUT_MS) || DEFAULT_LOCAL_TIMEOUT_MS,
+    maxRetries: 0
+  });
+
+  return {
+    name: 'openai-compatible',
+    source: 'openai_compatible',
+    label: 'OpenAI-compatible server',
+    model: env.LLM_MODEL,
+    endpoint: env.LLM_BASE_URL,
+    details: {},
+    // Older local servers only know max_tokens
+    async complete(messages, { maxTokens = 150, temperature = 0.7, signal } = {}) {
+      const completion = await client.chat.completions.create({
+        model: env.LLM_MODEL,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { signal });
+      return completion.choices?.[0]?.message?.content?.trim() || '';
+    },
+    stream(messages, { maxTokens = 150, temperature = 0.7, signal } = {}) {
+      return streamCompletion(client, {
+        model: env.LLM_MODEL,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, signal);
+    }
+  };
+}
+
+// Same reply for the same messages. MOCK_RESPONSE fixes the reply,
+// MOCK_DELAY_MS adds latency, MOCK_TOKEN_DELAY_MS paces streamed words and
+// MOCK_ERROR makes every call fail with that message (to exercise the
+// fallback). Otherwise the reply names the pictogram line of the prompt (one
+// per kind when candidates are asked for), or says "OK".
+function createMockProvider(env) {
+  const delayMs = Number(env.MOCK_DELAY_MS) || 0;
+  const tokenDelayMs = Number(env.MOCK_TOKEN_DELAY_MS) || 0;
+
+  function reply(messages) {
+    if (env.MOCK_RESPONSE) return env.MOCK_RESPONSE;
+    const prompt = [...messages].reverse().find(message => message.role === 'user');
+    const line = prompt && prompt.content.split('\n').find(text => /^(Selected pictograms|Pictogramas seleccionados):/.test(text));
+    if (!line) return 'OK';
+    const pictograms = line.slice(line.indexOf(':') + 1).trim();
+    // Prompts asking for ranked candidates get one of each kind
+    if (prompt.content.includes('{"candidates"')) {
+      return JSON.stringify({
+        candidates: ['statement', 'question', 'request'].map(kind => ({ kind, phrase: `[mock ${kind}] ${pictograms}` }))
+      });
+    }
+    return `[mock] ${pictograms}`;
+  }
+
+  return {
+    name: 'mock',
+    source: 'mock',
+    label: 'Mock provider',
+    model: 'mock',
+    endpoint: null,
+    details: { delay_ms: delayMs },
+    async complete(messages, { signal } = {}) {
+      if (delayMs) await wait(delayMs, signal);
+      if (env.MOCK_ERROR) throw new Error(env.MOCK_ERROR);
+      return reply(messages);
+    },
+    // The reply word by word (with the spaces that follow each word)
+    async* stream(messages, { signal } = {}) {
+      if (delayMs) await wait(delayMs, signal);
+      if (env.MOCK_ERROR) throw new Error(env.MOCK_ERROR);
+      for (const word of reply(messages).match(/\S+\s*/g) || []) {
+        if (tokenDelayMs) await wait(tokenDelayMs, signal);
+        yield word;
+      }
+    }
+  };
+}
+
+// The configured provider, or null for 'none'. Configuration errors throw.
+function createProvider(env = process.env) {
+  const name = providerName(env);
+  switch (name) {
+    case 'azure': return createAzureProvider(env);
+    case 'openai-compatible': return createOpenAICompatibleProvider(env);
+    case 'mock': return createMockProvider(env);
+    case 'none': return null;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (use ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = { LLM_PROVIDERS, providerName, createProvider };
@@ -2,9 +2,16 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { AzureOpenAI } = require('openai');
-const { DefaultAzureCredential, getBearerTokenProvider } = require('@azure/identity');
+const path = require('path');
 require('dotenv').config();
+// Azure OpenAI, OpenAI-compatible local servers or the mock, chosen by LLM_PROVIDER
+const { providerName, createProvider } = require('./providers');
+// Rule-based phrase generator shared with the frontend
+const { generatePhrase, generateCandidates } = require('../front/phrase-generator.js');
+// Who the user is, for personal prompt context
+const { validateProfile, describeProfile, createProfileStore } = require('./personal-profiles');
+// Recent dialogue with the caregiver, for answers that fit the conversation
+const { validateTurn, describeConversation, createConversationStore } = require('./conversations');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -16,68 +23,50 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // maximum 100 requests per window per IP
-  message: 'Too many requests from this IP, please try again in 15 minutes.'
+  message: 'Too many requests from this IP, please try again in 15 minutes.',
+  // Urgent alerts must never be refused (and event streams reconnect often)
+  skip: (req) => req.path.startsWith('/api/alerts')
 });
 app.use(limiter);
 
-// CORS configured for frontend
+// CORS configured for frontend. Caregiver pages opened from other devices
+// need their origin added to ALLOWED_ORIGINS (comma separated).
+const allowedOrigins = ['http://localhost:8080', 'http://127.0.0.1:8080', 'http://localhost:3000',
+  ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)];
 app.use(cors({
-  origin: ['http://localhost:8080', 'http://127.0.0.1:8080', 'http://localhost:3000'],
-  methods: ['GET', 'POST'],
+  origin: allowedOrigins,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type']
 }));
 
 // Middleware to parse JSON
 app.use(express.json({ limit: '10mb' }));
 
-// Validate that environment variables are configured
-if (!process.env.AZURE_OPENAI_ENDPOINT || !process.env.DEPLOYMENT_NAME) {
-  console.error('Error: AZURE_OPENAI_ENDPOINT and DEPLOYMENT_NAME must be configured in .env');
-  process.exit(1);
-}
-
-// Configure Azure OpenAI
-let azureOpenAIClient = null;
+// AI provider behind the endpoints (null: local rule-based phrases only).
+// A missing or wrong configuration is logged and the proxy still starts.
+let aiProvider = null;
 
-async function initializeAzureOpenAI() {
+function initializeProvider() {
   try {
-    // Use API Key if available, otherwise use Azure AD
-    if (process.env.AZURE_OPENAI_API_KEY) {
-      azureOpenAIClient = new AzureOpenAI({
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-        apiKey: process.env.AZURE_OPENAI_API_KEY,
-        apiVersion: process.env.API_VERSION || '2025-01-01-preview',
-      });
-      console.log('Azure OpenAI client initialized successfully with API Key');
+    aiProvider = createProvider(process.env);
+    if (aiProvider) {
+      console.log(`${aiProvider.label} provider initialized (model: ${aiProvider.model})`);
     } else {
-      // Fallback to Azure AD if no API Key
-      const credential = new DefaultAzureCredential();
-      const tokenProvider = getBearerTokenProvider(
-        credential,
-        'https://cognitiveservices.azure.com/.default'
-      );
-
-      azureOpenAIClient = new AzureOpenAI({
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-        azureADTokenProvider: tokenProvider,
-        apiVersion: process.env.API_VERSION || '2025-01-01-preview',
-      });
-      console.log('Azure OpenAI client initialized successfully with Azure AD');
+      console.log('No AI provider configured (LLM_PROVIDER=none)');
     }
-    
-    return true;
   } catch (error) {
-    console.error('Error initializing Azure OpenAI:', error.message);
-    return false;
+    console.error(`Error initializing AI provider "${providerName(process.env)}":`, error.message);
+    aiProvider = null;
   }
+  return aiProvider !== null;
 }
 
 // Variables for statistics
 let serverStats = {
   startTime: new Date(),
   requestCount: 0,
-  azureSuccessCount: 0,
-  azureErrorCount: 0,
+  aiSuccessCount: 0,
+  aiErrorCount: 0,
   localFallbackCount: 0
 };
 
@@ -96,209 +85,638 @@ app.get('/health', (req, res) => {
     service: 'AAC AI Proxy',
     uptime_ms: uptime,
     uptime_human: Math.floor(uptime / 1000) + 's',
+    provider: aiProvider ? aiProvider.name : 'none',
     stats: {
       total_requests: serverStats.requestCount,
-      azure_success: serverStats.azureSuccessCount,
-      azure_errors: serverStats.azureErrorCount,
-      local_fallbacks: serverStats.localFallbackCount
+      ai_success: serverStats.aiSuccessCount,
+      ai_errors: serverStats.aiErrorCount,
+      local_fallbacks: serverStats.localFallbackCount,
+      active_conversations: conversations.size()
     }
   });
 });
 
-// Main endpoint to generate phrases with Azure OpenAI
+// Prefix of free-text concepts typed on the on-screen keyboard
+const TEXT_CONCEPT_PREFIX = 'text:';
+
+// Ranked phrase candidates: how many /api/generate-phrase returns by default
+// and at most, and the kinds the model labels them with
+const DEFAULT_PHRASE_CANDIDATES = 3;
+const MAX_PHRASE_CANDIDATES = 5;
+const CANDIDATE_KINDS = ['statement', 'question', 'request'];
+
+// Prompt for the selected concepts, shared by the plain and streaming
+// endpoints. With more than one candidate the model is asked for a ranked
+// JSON list; `extraContext` (see promptContextFor) follows the general
+// context. Returns null when the request has no concepts.
+function buildPhraseRequest({ concepts, context, language, translatedConcepts } = {}, candidates = 1, extraContext = []) {
+  if (!concepts || !Array.isArray(concepts) || concepts.length === 0) return null;
+
+  // Determine target language
+  const targetLanguage = language === 'en' ? 'English' : 'Spanish';
+  const languageCode = language === 'en' ? 'en' : 'es';
+  
+  // Use translated concepts if available, otherwise use original concepts.
+  // Words typed on the on-screen keyboard arrive as 'text:<words>' and are
+  // quoted so the model keeps them as written.
+  const labels = Array.isArray(translatedConcepts) && translatedConcepts.length > 0 ? translatedConcepts : concepts;
+  const conceptsToUse = labels.map((label, i) => {
+    const concept = String(concepts[i] || '');
+    if (!concept.startsWith(TEXT_CONCEPT_PREFIX)) return label;
+    return `"${label === concept ? concept.slice(TEXT_CONCEPT_PREFIX.length) : label}"`;
+  });
+  const hasTypedWords = concepts.some(concept => String(concept).startsWith(TEXT_CONCEPT_PREFIX));
+
+  // Context for AAC - adapted to the target language
+  const defaultContext = language === 'en' 
+    ? `Context: A person with disability uses a Tobii device to communicate with gaze. They need to communicate something to their caregiver using selected pictograms.`
+    : `Contexto: Una persona con discapacidad usa un dispositivo Tobii para comunicarse con la mirada. Necesita comunicar algo a su cuidador usando pictogramas seleccionados.`;
+  
+  const contextText = [context || defaultContext, ...extraContext].filter(Boolean).join('\n\n');
+
+  const userPrompt = language === 'en'
+    ? `${contextText}
+
+Selected pictograms: ${conceptsToUse.join(', ')}${hasTypedWords ? '\nWords in quotes were typed by the person.' : ''}
+
+${candidates > 1
+    ? `Generate ${candidates} short, clear and respectful phrases in English with clearly different meanings the person may intend (for example a statement, a question and a polite request), the most likely first. Respond only with JSON: {"candidates": [{"kind": "statement" | "question" | "request", "phrase": "..."}]}`
+    : 'Generate a short, clear and respectful phrase in English that expresses what the person wants to communicate. Respond only with the phrase:'}`
+    : `${contextText}
+
+Pictogramas seleccionados: ${conceptsToUse.join(', ')}${hasTypedWords ? '\nLas palabras entre comillas las ha escrito la persona.' : ''}
+
+${candidates > 1
+    ? `Genera ${candidates} frases cortas, claras y respetuosas en español con significados claramente distintos que la persona puede querer decir (por ejemplo una afirmación, una pregunta y una petición amable), la más probable primero. Responde solo con JSON: {"candidates": [{"kind": "statement" | "question" | "request", "phrase": "..."}]}`
+    : 'Genera una frase corta, clara y respetuosa en español que exprese lo que la persona quiere comunicar. Responde solo con la frase:'}`;
+
+  // Prepare messages for the AI provider
+  const systemMessage = language === 'en'
+    ? 'You are an assistant specialized in augmentative and alternative communication (AAC). You generate clear phrases in English based on pictograms selected by people with disabilities who use assistive communication devices.'
+    : 'Eres un asistente especializado en comunicación aumentativa y alternativa (CAA). Generas frases claras en español basadas en pictogramas seleccionados por personas con discapacidad que usan dispositivos de comunicación asistiva.';
+
+  const messages = [
+    {
+      role: 'system',
+      content: systemMessage
+    },
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ];
+
+  return { messages, languageCode, targetLanguage, conceptsToUse };
+}
+
+// Main endpoint to generate phrases with the configured AI provider
 app.post('/api/generate-phrase', async (req, res) => {
   try {
-    const { concepts, context, language, translatedConcepts } = req.body;
+    const { concepts } = req.body;
+    const count = candidateCount(req.body);
+    const request = buildPhraseRequest(req.body, count, await promptContextFor(req.body));
 
     // Validate input
-    if (!concepts || !Array.isArray(concepts) || concepts.length === 0) {
+    if (!request) {
       return res.status(400).json({
         error: 'A valid concepts array is required'
       });
     }
+    const { messages, languageCode, targetLanguage, conceptsToUse } = request;
 
-    // Determine target language
-    const targetLanguage = language === 'en' ? 'English' : 'Spanish';
-    const languageCode = language === 'en' ? 'en' : 'es';
-    
-    // Use translated concepts if available, otherwise use original concepts
-    const conceptsToUse = translatedConcepts && translatedConcepts.length > 0 ? translatedConcepts : concepts;
-
-    // Check if Azure OpenAI is available
-    if (!azureOpenAIClient) {
-      console.warn('Azure OpenAI not initialized, using local fallback');
+    // Check if an AI provider is available
+    if (!aiProvider) {
+      console.warn('No AI provider available, using local fallback');
       serverStats.localFallbackCount++;
       return res.json({
-        phrase: generateLocalFallback(concepts, languageCode),
+        ...localCandidatesResponse(req.body, languageCode, count),
         source: 'local_fallback',
-        reason: 'azure_not_initialized'
+        reason: 'ai_not_configured'
       });
     }
 
-    // Context for AAC - adapted to the target language
-    const defaultContext = language === 'en' 
-      ? `Context: A person with disability uses a Tobii device to communicate with gaze. They need to communicate something to their caregiver using selected pictograms.`
-      : `Contexto: Una persona con discapacidad usa un dispositivo Tobii para comunicarse con la mirada. Necesita comunicar algo a su cuidador usando pictogramas seleccionados.`;
-    
-    const userPrompt = language === 'en'
-      ? `${context || defaultContext}
-
-Selected pictograms: ${conceptsToUse.join(', ')}
-
-Generate a short, clear and respectful phrase in English that expresses what the person wants to communicate. Respond only with the phrase:`
-      : `${context || defaultContext}
-
-Pictogramas seleccionados: ${conceptsToUse.join(', ')}
-
-Genera una frase corta, clara y respetuosa en español que exprese lo que la persona quiere comunicar. Responde solo con la frase:`;
-
     console.log(`Processing request for concepts: ${conceptsToUse.join(', ')} (Language: ${targetLanguage})`);
 
-    // Prepare messages for Azure OpenAI
-    const systemMessage = language === 'en'
-      ? 'You are an assistant specialized in augmentative and alternative communication (AAC). You generate clear phrases in English based on pictograms selected by people with disabilities who use assistive communication devices.'
-      : 'Eres un asistente especializado en comunicación aumentativa y alternativa (CAA). Generas frases claras en español basadas en pictogramas seleccionados por personas con discapacidad que usan dispositivos de comunicación asistiva.';
-
-    const messages = [
-      {
-        role: 'system',
-        content: systemMessage
-      },
-      {
-        role: 'user',
-        content: userPrompt
-      }
-    ];
-
-    // Call to Azure OpenAI
-    console.log('Sending request to Azure OpenAI...');
-    console.log('Messages:', JSON.stringify(messages, null, 2));
+    // Call to the AI provider
+    console.log(`Sending request to ${aiProvider.label}...`);
+    // Only the shape: the prompt holds personal profile data (names, caregivers, location)
+    console.log(`Messages: ${messages.length} (${messages.map(message => message.role).join(', ')})`);
     
-    const completion = await azureOpenAIClient.chat.completions.create({
-      model: process.env.DEPLOYMENT_NAME,
-      messages: messages,
-      max_completion_tokens: 150, // Reduced for GPT-4.1-mini
-      temperature: 0.7,
-      stream: false
+    const text = await aiProvider.complete(messages, {
+      maxTokens: count > 1 ? 400 : 150, // Reduced for GPT-4.1-mini
+      temperature: 0.7
     });
-
-    console.log('Complete response from Azure OpenAI:', JSON.stringify(completion, null, 2));
-    
-    const text = completion.choices?.[0]?.message?.content?.trim();
     
     console.log('Extracted text:', JSON.stringify(text));
-    console.log('Choices length:', completion.choices?.length);
-    console.log('First choice:', JSON.stringify(completion.choices?.[0], null, 2));
+    const candidates = parseCandidates(text, count);
     
-    if (!text) {
-      console.warn('Empty response from Azure OpenAI, using local fallback');
-      console.warn('Complete completion object:', JSON.stringify(completion, null, 2));
+    if (!candidates.length) {
+      console.warn(`Empty response from ${aiProvider.label}, using local fallback`);
       serverStats.localFallbackCount++;
       return res.json({
-        phrase: generateLocalFallback(concepts, languageCode),
+        ...localCandidatesResponse(req.body, languageCode, count),
         source: 'local_fallback',
-        reason: 'empty_response',
-        debug_completion: completion
+        reason: 'empty_response'
       });
     }
 
-    console.log(`Phrase generated successfully: "${text}"`);
-    serverStats.azureSuccessCount++;
+    console.log(`Phrase generated successfully: ${candidates.map(candidate => `"${candidate.phrase}"`).join(', ')}`);
+    serverStats.aiSuccessCount++;
     
     res.json({
-      phrase: text,
-      source: 'azure_openai',
+      phrase: candidates[0].phrase,
+      candidates,
+      source: aiProvider.source,
       concepts: concepts,
-      model: process.env.DEPLOYMENT_NAME
+      provider: aiProvider.name,
+      model: aiProvider.model
     });
 
   } catch (error) {
     console.error('Error in proxy:', error.message);
-    serverStats.azureErrorCount++;
+    serverStats.aiErrorCount++;
     serverStats.localFallbackCount++;
     
     // Return local fallback in case of error
+    const body = req.body || {};
     res.json({
-      phrase: generateLocalFallback(req.body.concepts || [], req.body.language || 'es'),
+      ...localCandidatesResponse(body, body.language === 'en' ? 'en' : 'es', candidateCount(body)),
       source: 'local_fallback',
       error: error.message
     });
   }
 });
 
-// Local fallback function
-function generateLocalFallback(concepts, language = 'es') {
-  return language === 'en' 
-    ? 'AI service temporarily unavailable.'
-    : 'Servicio de IA temporalmente no disponible.';
+// Streaming variant: the reply is a Server-Sent Events stream of `token`
+// events ({ text }: the next piece of the phrase) ended by one `done` event
+// with the same fields as /api/generate-phrase. When the AI fails the `done`
+// phrase is the local fallback and replaces any tokens already sent. Closing
+// the connection aborts the call to the provider.
+async function sendPhraseStream(req, res) {
+  const request = buildPhraseRequest(req.body, 1, await promptContextFor(req.body));
+  if (!request) {
+    return res.status(400).json({
+      error: 'A valid concepts array is required'
+    });
+  }
+  const { messages, languageCode, targetLanguage, conceptsToUse } = request;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const fallback = (fields) => {
+    serverStats.localFallbackCount++;
+    send('done', { phrase: generateLocalFallback(req.body, languageCode), source: 'local_fallback', ...fields });
+    res.end();
+  };
+
+  if (!aiProvider) {
+    console.warn('No AI provider available, using local fallback');
+    return fallback({ reason: 'ai_not_configured' });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client closed the stream, aborting generation');
+      controller.abort();
+    }
+  });
+
+  console.log(`Streaming phrase for concepts: ${conceptsToUse.join(', ')} (Language: ${targetLanguage}) from ${aiProvider.label}`);
+  let text = '';
+  try {
+    for await (const token of aiProvider.stream(messages, {
+      maxTokens: 150,
+      temperature: 0.7,
+      signal: controller.signal
+    })) {
+      if (!token) continue;
+      // Leading whitespace of the reply is dropped, as the plain endpoint trims it
+      const piece = text ? token : token.trimStart();
+      if (!piece) continue;
+      text += piece;
+      send('token', { text: piece });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Error in streaming proxy:', error.message);
+    serverStats.aiErrorCount++;
+    return fallback({ error: error.message });
+  }
+  if (controller.signal.aborted) return;
+
+  text = text.trim();
+  if (!text) {
+    console.warn(`Empty response from ${aiProvider.label}, using local fallback`);
+    return fallback({ reason: 'empty_response' });
+  }
+  console.log(`Phrase streamed successfully: "${text}"`);
+  serverStats.aiSuccessCount++;
+  send('done', {
+    phrase: text,
+    source: aiProvider.source,
+    concepts: req.body.concepts,
+    provider: aiProvider.name,
+    model: aiProvider.model
+  });
+  res.end();
 }
 
-// Endpoint to test connection with Azure OpenAI
+// Unexpected errors answer with a 500 before the stream starts, and with the
+// local fallback (or just the end of the stream) once it has started
+app.post('/api/generate-phrase/stream', async (req, res) => {
+  try {
+    await sendPhraseStream(req, res);
+  } catch (error) {
+    console.error('Error in streaming proxy:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+    if (res.writableEnded) return;
+    try {
+      const body = req.body || {};
+      const phrase = generateLocalFallback(body, body.language === 'en' ? 'en' : 'es');
+      serverStats.localFallbackCount++;
+      res.write(`event: done\ndata: ${JSON.stringify({ phrase, source: 'local_fallback', error: error.message })}\n\n`);
+    } catch (fallbackError) {
+      console.error('Local fallback failed too:', fallbackError.message);
+    }
+    res.end();
+  }
+});
+
+// Local fallback: the same rules and pictogram grammar as the frontend
+// (front/grammar/<language>.json and the default board)
+const FRONT_DIR = path.join(__dirname, '..', 'front');
+const phraseRules = {
+  es: require(path.join(FRONT_DIR, 'grammar', 'es.json')),
+  en: require(path.join(FRONT_DIR, 'grammar', 'en.json'))
+};
+const defaultBoard = require(path.join(FRONT_DIR, 'boards', 'default.json'));
+
+// Message items for the generator. The frontend sends the grammar of each
+// pictogram (`pictograms`), so edited and imported boards work too;
+// otherwise it is looked up in the default board.
+function localItems({ concepts, translatedConcepts, pictograms } = {}, language) {
+  const keys = Array.isArray(concepts) ? concepts : [];
+  const labels = Array.isArray(translatedConcepts) ? translatedConcepts : [];
+  const items = Array.isArray(pictograms) && pictograms.length === keys.length
+    ? pictograms.map(item => ({
+      key: String((item && item.key) || ''),
+      label: String((item && item.label) || ''),
+      grammar: item && typeof item.grammar === 'object' ? item.grammar : undefined
+    }))
+    : keys.map((concept, i) => {
+      const key = concept === null || concept === undefined ? '' : String(concept);
+      const picto = Object.hasOwn(defaultBoard.pictograms, key) ? defaultBoard.pictograms[key] : null;
+      const label = (typeof labels[i] === 'string' && labels[i].trim()) ||
+        (picto ? picto.label[language] : key.replace(TEXT_CONCEPT_PREFIX, ''));
+      return { key, label, grammar: picto && picto.grammar };
+    });
+  // Empty items would leave gaps in the phrase ("quiero  y .")
+  return items.filter(item => (item.label || item.key).trim());
+}
+
+function generateLocalFallback(body, language = 'es') {
+  return generatePhrase(localItems(body, language), phraseRules[language]);
+}
+
+// Kind of a phrase the model did not label
+function guessKind(phrase) {
+  return phrase.includes('?') ? 'question' : 'statement';
+}
+
+// Candidates from the model's reply: the requested JSON (possibly inside a
+// code block), or the whole reply as one candidate when it is plain text.
+// Empty and repeated phrases are dropped.
+function parseCandidates(text, count) {
+  if (!text) return [];
+  let list = null;
+  if (count > 1) {
+    const json = text.slice(text.search(/[[{]/), Math.max(text.lastIndexOf('}'), text.lastIndexOf(']')) + 1);
+    try {
+      const parsed = JSON.parse(json);
+      list = Array.isArray(parsed) ? parsed : parsed.candidates;
+    } catch (error) {
+      console.warn('Reply is not a candidate list, using it as one phrase:', error.message);
+    }
+  }
+  if (!Array.isArray(list)) list = [{ phrase: text }];
+
+  const candidates = [];
+  list.forEach(item => {
+    const phrase = String((item && (item.phrase || item.text)) || (typeof item === 'string' ? item : '')).trim();
+    if (!phrase || candidates.some(candidate => candidate.phrase.toLowerCase() === phrase.toLowerCase())) return;
+    const kind = CANDIDATE_KINDS.includes(item && item.kind) ? item.kind : guessKind(phrase);
+    candidates.push({ phrase, kind });
+  });
+  return candidates.slice(0, count);
+}
+
+// Local fallback with candidates from the rule-based generator
+function localCandidatesResponse(body, language, count) {
+  const candidates = generateCandidates(localItems(body, language), phraseRules[language], count);
+  return { phrase: candidates[0].phrase, candidates };
+}
+
+// Candidates asked for in a request (`candidates`), within the limits
+function candidateCount(body) {
+  const count = parseInt(body && body.candidates, 10) || DEFAULT_PHRASE_CANDIDATES;
+  return Math.min(Math.max(count, 1), MAX_PHRASE_CANDIDATES);
+}
+
+// --- Personal profiles ---
+// Name, pronouns, caregivers, formality, usual foods and activities and the
+// current location of each user (the frontend profile id), kept on disk and
+// edited through /api/users/:userId/profile.
+const profileStore = createProfileStore(process.env.PERSONAL_PROFILES_FILE || undefined);
+
+// Prompt context for a phrase request: the profile of its `userId` (if any)
+// and the time of day, in the request's language
+async function personalContextFor(body) {
+  const { userId, language } = body || {};
+  let profile = null;
+  if (profileStore.isValidId(userId)) {
+    try {
+      profile = await profileStore.get(userId);
+    } catch (error) {
+      console.error(`Could not load the profile of ${userId}:`, error.message);
+    }
+  }
+  return describeProfile(profile, { language: language === 'en' ? 'en' : 'es' });
+}
+
+function checkProfileId(req, res) {
+  if (profileStore.isValidId(req.params.userId)) return true;
+  res.status(400).json({ error: 'Invalid user id (letters, digits and hyphens, up to 64)' });
+  return false;
+}
+
+app.get('/api/users/:userId/profile', async (req, res, next) => {
+  if (!checkProfileId(req, res)) return;
+  try {
+    const profile = await profileStore.get(req.params.userId);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+    res.json({ userId: req.params.userId, profile });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prompt context the profile produces right now (?language=en|es), to check
+// what the model will be told
+app.get('/api/users/:userId/profile/context', async (req, res) => {
+  if (!checkProfileId(req, res)) return;
+  res.json({
+    userId: req.params.userId,
+    context: await personalContextFor({ userId: req.params.userId, language: req.query.language })
+  });
+});
+
+// PUT replaces the whole profile, PATCH changes only the fields sent (null
+// removes one), e.g. { "location": "kitchen" } when the user changes room
+['put', 'patch'].forEach(method => {
+  app[method]('/api/users/:userId/profile', async (req, res, next) => {
+    if (!checkProfileId(req, res)) return;
+    try {
+      validateProfile(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    try {
+      const profile = await profileStore[method](req.params.userId, req.body);
+      console.log(`Profile of ${req.params.userId} ${method === 'put' ? 'replaced' : 'updated'}`);
+      res.json({ userId: req.params.userId, profile });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+app.delete('/api/users/:userId/profile', async (req, res, next) => {
+  if (!checkProfileId(req, res)) return;
+  try {
+    if (!await profileStore.remove(req.params.userId)) return res.status(404).json({ error: 'Profile not found' });
+    res.json({ status: 'deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Conversation sessions ---
+// Caregiver turns (typed or transcribed) and the phrases the user says. A
+// phrase request with a `sessionId` gets the last turns in its prompt.
+const conversations = createConversationStore({
+  ttlMs: (Number(process.env.CONVERSATION_TTL_MINUTES) || 30) * 60 * 1000,
+  windowTurns: Number(process.env.CONVERSATION_WINDOW_TURNS) || 6
+});
+conversations.startSweeping();
+
+// Context blocks added to a phrase prompt: who the user is and what has just
+// been said
+async function promptContextFor(body) {
+  const language = body && body.language === 'en' ? 'en' : 'es';
+  return [
+    await personalContextFor(body),
+    describeConversation(conversations.recentTurns(body && body.sessionId), { language })
+  ];
+}
+
+function sessionNotFound(res) {
+  res.status(404).json({ error: 'Conversation not found or expired' });
+}
+
+// Start a conversation, optionally for a user profile id
+app.post('/api/conversations', (req, res) => {
+  const { userId } = req.body || {};
+  if (userId !== undefined && userId !== null && !profileStore.isValidId(userId)) {
+    return res.status(400).json({ error: 'Invalid user id (letters, digits and hyphens, up to 64)' });
+  }
+  const session = conversations.start(userId);
+  console.log(`Conversation ${session.id} started${session.userId ? ' for ' + session.userId : ''}`);
+  res.status(201).json({ session });
+});
+
+app.get('/api/conversations/:sessionId', (req, res) => {
+  const session = conversations.get(req.params.sessionId);
+  if (!session) return sessionNotFound(res);
+  res.json({ session });
+});
+
+// Add a turn: { role: 'caregiver' | 'user', text, source: 'typed' | 'transcribed' | 'generated' }
+app.post('/api/conversations/:sessionId/turns', (req, res) => {
+  try {
+    validateTurn(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const turn = conversations.addTurn(req.params.sessionId, req.body);
+  if (!turn) return sessionNotFound(res);
+  res.status(201).json({ turn, session: conversations.get(req.params.sessionId) });
+});
+
+app.delete('/api/conversations/:sessionId', (req, res) => {
+  if (!conversations.end(req.params.sessionId)) return sessionNotFound(res);
+  console.log(`Conversation ${req.params.sessionId} ended`);
+  res.json({ status: 'ended' });
+});
+
+// --- Urgent alerts ---
+// The user's page posts alerts; caregiver pages (and the user's page, to hear
+// about acknowledgements) listen on a Server-Sent Events stream. Active alerts
+// are kept in memory and replayed to caregivers who connect later.
+const ALERT_LEVELS = ['attention', 'urgent'];
+const ALERT_KEEPALIVE_MS = 20000;   // Comment lines keep idle proxies from closing streams
+const activeAlerts = new Map();     // id -> alert
+const alertClients = new Set();     // { res, role }
+
+function sendAlertEvent(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastAlertEvent(event, data, role = null) {
+  let count = 0;
+  alertClients.forEach(client => {
+    if (role && client.role !== role) return;
+    sendAlertEvent(client, event, data);
+    count++;
+  });
+  return count;
+}
+
+app.get('/api/alerts/stream', (req, res) => {
+  const client = { res, role: req.query.role === 'user' ? 'user' : 'caregiver' };
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  alertClients.add(client);
+  if (client.role === 'caregiver') {
+    activeAlerts.forEach(alert => sendAlertEvent(client, 'alert', alert));
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), ALERT_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    alertClients.delete(client);
+  });
+});
+
+// Raise an alert; answers with how many caregiver pages received it. A retried
+// alert (same id) is not duplicated.
+app.post('/api/alerts', (req, res) => {
+  const { id, key, label, phrase, level, user, language } = req.body || {};
+  if (!id || typeof phrase !== 'string' || !phrase.trim() || !ALERT_LEVELS.includes(level)) {
+    return res.status(400).json({
+      error: 'An alert needs an id, a phrase and a level (' + ALERT_LEVELS.join(', ') + ')'
+    });
+  }
+
+  const alert = activeAlerts.get(String(id)) || {
+    id: String(id),
+    key: key ? String(key) : null,
+    label: label ? String(label) : null,
+    phrase: phrase.trim(),
+    level,
+    user: user ? String(user) : null,
+    language: language === 'en' ? 'en' : 'es',
+    raisedAt: new Date().toISOString()
+  };
+  activeAlerts.set(alert.id, alert);
+  const caregivers = broadcastAlertEvent('alert', alert, 'caregiver');
+  console.log(`Alert ${alert.id} (${alert.level}) sent to ${caregivers} caregiver(s): ${alert.phrase}`);
+  res.json({ status: 'sent', caregivers });
+});
+
+// Acknowledge an alert, from the user's page or a caregiver page
+app.post('/api/alerts/:id/ack', (req, res) => {
+  const alert = activeAlerts.get(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found or already acknowledged' });
+  }
+  activeAlerts.delete(alert.id);
+  const ack = { id: alert.id, by: (req.body && req.body.by) || null, at: new Date().toISOString() };
+  broadcastAlertEvent('ack', ack);
+  console.log(`Alert ${alert.id} acknowledged${ack.by ? ' by ' + ack.by : ''}`);
+  res.json({ status: 'acknowledged' });
+});
+
+// Endpoint to test connection with the AI provider
 app.get('/api/test-connection', async (req, res) => {
   try {
-    console.log('Testing connection with Azure OpenAI...');
-    
-    if (!azureOpenAIClient) {
-      console.log('Azure OpenAI client not initialized');
+    if (!aiProvider) {
+      console.log('No AI provider initialized');
       return res.status(200).json({
         status: 'error',
-        message: 'Azure OpenAI not initialized',
+        message: 'No AI provider configured',
+        provider: providerName(process.env),
         timestamp: new Date().toISOString()
       });
     }
 
-    // Make a simple call to Azure OpenAI to test the connection
-    const completion = await azureOpenAIClient.chat.completions.create({
-      model: process.env.DEPLOYMENT_NAME,
-      messages: [
-        {
-          role: 'system',
-          content: 'Respond with "OK" to confirm the connection.'
-        },
-        {
-          role: 'user',
-          content: 'Connection test'
-        }
-      ],
-      max_completion_tokens: 50,
-      temperature: 0
-    });
+    console.log(`Testing connection with ${aiProvider.label}...`);
+
+    // Make a simple call to the provider to test the connection
+    const text = await aiProvider.complete([
+      {
+        role: 'system',
+        content: 'Respond with "OK" to confirm the connection.'
+      },
+      {
+        role: 'user',
+        content: 'Connection test'
+      }
+    ], { maxTokens: 50, temperature: 0 });
 
-    if (completion && completion.choices && completion.choices.length > 0) {
-      console.log('Azure OpenAI connected successfully');
+    if (text) {
+      console.log(`${aiProvider.label} connected successfully`);
       res.json({ 
         status: 'connected', 
-        message: 'Azure OpenAI available',
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-        deployment: process.env.DEPLOYMENT_NAME,
-        api_version: process.env.API_VERSION,
+        message: `${aiProvider.label} available`,
+        provider: aiProvider.name,
+        endpoint: aiProvider.endpoint,
+        model: aiProvider.model,
+        ...aiProvider.details,
         timestamp: new Date().toISOString(),
-        test_response: completion.choices[0].message.content
+        test_response: text
       });
     } else {
-      console.log('Unexpected response from Azure OpenAI');
+      console.log(`Unexpected response from ${aiProvider.label}`);
       res.status(200).json({
         status: 'error',
-        message: 'Unexpected response from Azure OpenAI',
+        message: `Unexpected response from ${aiProvider.label}`,
+        provider: aiProvider.name,
         timestamp: new Date().toISOString()
       });
     }
 
   } catch (error) {
-    console.log(`Error connecting to Azure OpenAI: ${error.message}`);
+    console.log(`Error connecting to ${aiProvider.label}: ${error.message}`);
     
-    let errorMessage = 'Could not connect to Azure OpenAI';
+    let errorMessage = `Could not connect to ${aiProvider.label}`;
     if (error.message.includes('authentication')) {
-      errorMessage = 'Authentication error with Azure OpenAI';
-    } else if (error.message.includes('timeout')) {
-      errorMessage = 'Timeout connecting to Azure OpenAI';
+      errorMessage = `Authentication error with ${aiProvider.label}`;
+    } else if (error.message.includes('timeout') || error.message.includes('timed out')) {
+      errorMessage = `Timeout connecting to ${aiProvider.label}`;
     } else if (error.message.includes('quota')) {
-      errorMessage = 'Quota exceeded in Azure OpenAI';
+      errorMessage = `Quota exceeded in ${aiProvider.label}`;
     }
     
     res.status(200).json({
       status: 'error', 
       message: errorMessage,
+      provider: aiProvider.name,
       error: error.message,
       timestamp: new Date().toISOString()
     });
@@ -321,7 +739,20 @@ app.use('*', (req, res) => {
     available_endpoints: [
       'GET /health',
       'GET /api/test-connection',
-      'POST /api/generate-phrase'
+      'POST /api/generate-phrase',
+      'POST /api/generate-phrase/stream',
+      'GET /api/alerts/stream',
+      'POST /api/alerts',
+      'POST /api/alerts/:id/ack',
+      'GET /api/users/:userId/profile',
+      'GET /api/users/:userId/profile/context',
+      'PUT /api/users/:userId/profile',
+      'PATCH /api/users/:userId/profile',
+      'DELETE /api/users/:userId/profile',
+      'POST /api/conversations',
+      'GET /api/conversations/:sessionId',
+      'POST /api/conversations/:sessionId/turns',
+      'DELETE /api/conversations/:sessionId'
     ]
   });
 });
@@ -331,20 +762,24 @@ app.listen(PORT, async () => {
   console.log(`AAC proxy server running on http://localhost:${PORT}`);
   console.log(`Available endpoints:`);
   console.log(`   • GET  /health - Server status`);
-  console.log(`   • GET  /api/test-connection - Test Azure OpenAI connection`);
+  console.log(`   • GET  /api/test-connection - Test the AI provider connection`);
   console.log(`   • POST /api/generate-phrase - Generate phrases`);
+  console.log(`   • POST /api/generate-phrase/stream - Generate phrases as they are written (Server-Sent Events)`);
+  console.log(`   • GET  /api/alerts/stream - Urgent alerts (Server-Sent Events)`);
+  console.log(`   • POST /api/alerts - Raise an urgent alert`);
+  console.log(`   • GET/PUT/PATCH/DELETE /api/users/:userId/profile - Personal profile for the prompts`);
+  console.log(`   • POST /api/conversations - Start a conversation session (turns go to /api/conversations/:sessionId/turns)`);
   console.log(`Configuration:`);
-  console.log(`   • Azure OpenAI Endpoint: ${process.env.AZURE_OPENAI_ENDPOINT || 'Not configured'}`);
-  console.log(`   • Deployment: ${process.env.DEPLOYMENT_NAME || 'Not configured'}`);
-  console.log(`   • API Version: ${process.env.API_VERSION || 'Not configured'}`);
+  console.log(`   • AI provider: ${providerName(process.env)}`);
   
-  // Initialize Azure OpenAI
-  console.log(`Initializing Azure OpenAI...`);
-  const initialized = await initializeAzureOpenAI();
+  // Initialize the AI provider
+  console.log(`Initializing AI provider...`);
+  const initialized = initializeProvider();
   if (initialized) {
-    console.log(`Azure OpenAI initialized successfully`);
+    console.log(`   • Model: ${aiProvider.model}`);
+    console.log(`   • Endpoint: ${aiProvider.endpoint || 'None'}`);
   } else {
-    console.log(`Azure OpenAI not available - will work with local fallback only`);
+    console.log(`AI not available - will work with local fallback only`);
   }
 });
 
@@ -0,0 +1,165 @@
+// Urgent alerts for AAC Pictos. Pictograms with an "urgency" level skip the
+// message path: their alert phrase is spoken at once and the alert is pushed
+// to caregiver pages through the backend proxy (Server-Sent Events). Urgent
+// ones also sound a loud alarm and flash the screen. The alert repeats until
+// it is acknowledged here or from a caregiver page.
+
+// What each level of a pictogram's "urgency" does. `rank` orders them (a
+// higher level replaces a lower one that is running); `blocking` alerts cover
+// the board, the others are a banner and gaze keeps working.
+const URGENCY_LEVELS = {
+  attention: { rank: 1, alarm: false, flash: false, blocking: false, repeatMs: 30000 },
+  urgent: { rank: 2, alarm: true, flash: true, blocking: true, repeatMs: 10000 }
+};
+const ALARM_PERIOD_MS = 1200;     // One two-tone siren cycle
+const ALARM_TONES = [880, 660];   // Hz, each played for half a cycle
+
+// Loud repeating two-tone siren with the Web Audio API. Browsers only allow
+// sound once the page has been clicked or touched.
+function createAlarm() {
+  let context = null;
+  let timer = null;
+
+  function siren() {
+    const half = ALARM_PERIOD_MS / 2000;
+    ALARM_TONES.forEach((frequency, i) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.8;
+      oscillator.connect(gain).connect(context.destination);
+      const start = context.currentTime + i * half;
+      oscillator.start(start);
+      oscillator.stop(start + half * 0.9);
+    });
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        console.warn('Web Audio not available: alarm is silent');
+        return;
+      }
+      context = context || new AudioContextClass();
+      context.resume();
+      siren();
+      timer = setInterval(siren, ALARM_PERIOD_MS);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    isPlaying: () => timer !== null
+  };
+}
+
+// Urgency level of a pictogram (null for ordinary ones)
+function urgencyOf(item) {
+  return item && URGENCY_LEVELS[item.urgency] ? item.urgency : null;
+}
+
+// Shows the alert in `overlay` (#alertPhrase, #alertStatus, #alertAck inside)
+// while it is active. `send(alert)` pushes it to caregivers and resolves with
+// how many received it; `sendAck(alert)` tells them it was handled here;
+// `onChange()` runs when an alert starts or ends.
+function createAlertController({ overlay, speak, send, sendAck, onChange }) {
+  const alarm = createAlarm();
+  const phraseEl = overlay.querySelector('#alertPhrase');
+  const statusEl = overlay.querySelector('#alertStatus');
+  let active = null;
+  let repeatTimer = null;
+
+  function render() {
+    overlay.hidden = !active;
+    overlay.classList.toggle('flash', !!active && URGENCY_LEVELS[active.level].flash);
+    overlay.classList.toggle('banner', !!active && !URGENCY_LEVELS[active.level].blocking);
+    if (!active) return;
+    phraseEl.textContent = active.phrase;
+    if (active.delivered === undefined) {
+      statusEl.textContent = t('alert.sending');
+    } else if (active.delivered === null) {
+      statusEl.textContent = t('alert.notSent');
+    } else {
+      statusEl.textContent = active.delivered > 0
+        ? t('alert.sent').replace('{count}', active.delivered)
+        : t('alert.noCaregivers');
+    }
+  }
+
+  async function deliver(alert) {
+    try {
+      alert.delivered = await send(alert);
+    } catch (error) {
+      console.warn('Could not send alert to caregivers:', error.message);
+      alert.delivered = null;
+    }
+    if (alert === active) render();
+  }
+
+  // Say it again, and retry the push if it did not get through
+  function repeat() {
+    speak(active.phrase);
+    if (active.delivered === null) deliver(active);
+  }
+
+  function finish() {
+    clearInterval(repeatTimer);
+    alarm.stop();
+    active = null;
+    render();
+    onChange();
+  }
+
+  // Caregiver pages are told the alert was handled here
+  function acknowledgeRemotely(alert) {
+    Promise.resolve(sendAck(alert)).catch(error => {
+      console.warn('Could not send acknowledgement:', error.message);
+    });
+  }
+
+  return {
+    // alert: { id, key, label, phrase, level, user }. An alert already
+    // running is only replaced by a higher level (it is then acknowledged, so
+    // caregivers see the new one alone).
+    raise(alert) {
+      const level = URGENCY_LEVELS[alert.level];
+      if (active) {
+        if (level.rank <= URGENCY_LEVELS[active.level].rank) return false;
+        const replaced = active;
+        clearInterval(repeatTimer);
+        alarm.stop();
+        acknowledgeRemotely(replaced);
+      }
+      active = { ...alert, raisedAt: new Date().toISOString() };
+      speak(active.phrase);
+      if (level.alarm) alarm.start();
+      repeatTimer = setInterval(repeat, level.repeatMs);
+      render();
+      deliver(active);
+      onChange();
+      return true;
+    },
+    // Acknowledged on this device: caregiver pages are told as well
+    acknowledge() {
+      if (!active) return;
+      const alert = active;
+      finish();
+      acknowledgeRemotely(alert);
+    },
+    // Acknowledged from a caregiver page
+    acknowledgedRemotely(id) {
+      if (active && active.id === id) finish();
+    },
+    isActive: () => active !== null,
+    // An alert covers the board and gaze selection is paused
+    isBlocking: () => active !== null && URGENCY_LEVELS[active.level].blocking
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { URGENCY_LEVELS, createAlarm, urgencyOf, createAlertController };
+}
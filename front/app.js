@@ -1,29 +1,87 @@
 // Vanilla JS AAC demo with visible gaze cursor + WebSocket gaze + Azure OpenAI + TTS
 
-// Pictogram data - labels will be updated by translation system
-const PICTOS = [
-  { key: 'yo',     label: 'Yo',              emoji: '👤',   tags: ['persona'] },
-  { key: 'tu',     label: 'Tú',              emoji: '👥',   tags: ['interlocutor'] },
-  { key: 'agua',   label: 'Vaso de agua',    emoji: '💧',   tags: ['beber'] },
-  { key: 'comida', label: 'Plato de comida', emoji: '🍽️',   tags: ['plato'] },
-  { key: 'si',     label: 'Sí',              emoji: '✅',   tags: ['confirmar'] },
-  { key: 'no',     label: 'No',              emoji: '❌',   tags: ['negar'] },
-  { key: 'baño',   label: 'Ir al baño',      emoji: '🚽',   tags: ['necesidad', 'baño'] },
-  { key: 'tele',   label: 'Ver televisión',  emoji: '📺',   tags: ['entretenimiento', 'ver'] },
-  { key: 'dormir', label: 'Quiero dormir',   emoji: '😴',   tags: ['descanso', 'sueño'] },
-  { key: 'ayuda',  label: 'Necesito ayuda',  emoji: '🆘',   tags: ['asistencia', 'socorro'] },
-  { key: 'dolor',  label: 'Me duele algo',   emoji: '😰',   tags: ['malestar', 'dolor'] },
-  { key: 'calor',  label: 'Tengo calor',     emoji: '🥵',   tags: ['temperatura', 'calor'] },
-];
+// Board definition loaded at runtime (pictograms, categories and pages)
+const BOARD_URL = 'boards/default.json';
+let boardNav = null;
+let loadedBoardUrl = null;
+
+// Pictogram or folder entry by card key - also used by translations.js
+function findPictogram(key) {
+  return boardNav ? boardNav.find(key) : null;
+}
+window.findPictogram = findPictogram;
+
+// Translated label for a selected pictogram key (typed text for free-text chips)
+function pictogramLabel(key) {
+  if (key.startsWith(TEXT_KEY_PREFIX)) return key.slice(TEXT_KEY_PREFIX.length);
+  const item = findPictogram(key);
+  return item ? localize(item.label) : key;
+}
+
+// Symbol images: the board's image pack plus images set on pictograms,
+// cached for offline use (image-pack.js)
+let imagePack = null;
+const imageStore = createImageStore();
+
+// Image for a card or chip: its own image first, then the image pack.
+// null means the emoji is shown.
+function pictogramImage(item) {
+  const src = item.image || (imagePack && item.type === 'pictogram' && imagePack.images[item.key]);
+  return src ? imageStore.resolve(src) : null;
+}
+
+function emojiSymbol(item, className) {
+  const el = document.createElement(className === 'emoji' ? 'div' : 'span');
+  el.className = className;
+  el.setAttribute('aria-hidden', 'true');
+  el.textContent = item.emoji || '';
+  return el;
+}
+
+// Swap an image for the emoji when it cannot be loaded (missing file, offline)
+function fallBackToEmoji(img, item, className) {
+  img.addEventListener('error', () => img.replaceWith(emojiSymbol(item, className)), { once: true });
+}
 
-// Make PICTOS available globally for translations
-window.PICTOS = PICTOS;
+// Load the board set's image pack and cache every image it uses, then
+// re-render so cards use the cached copies
+async function prepareImages(boardSet) {
+  const packUrl = boardSet.imagePack || null;
+  let changed = false;
+  if (packUrl !== (imagePack && imagePack.url)) {
+    imagePack = null;
+    changed = true;
+    if (packUrl) {
+      try {
+        imagePack = await loadImagePack(packUrl);
+      } catch (error) {
+        console.warn('Could not load image pack, showing emoji:', error.message);
+      }
+    }
+  }
+  const sources = [
+    ...Object.values(boardSet.pictograms).map(picto => picto.image),
+    ...Object.values(boardSet.boards).flatMap(board => [board.image, ...board.items.map(item => item.image)]),
+    ...(imagePack ? Object.values(imagePack.images) : [])
+  ];
+  if (await imageStore.prepare(sources.filter(Boolean)) > 0) changed = true;
+  if (changed) {
+    renderBoard();
+    renderChips();
+  }
+}
 
 const DWELL_MS = 2500; // Reduced from 4000ms to 2.5s for easier use
 const WS_URL = 'ws://127.0.0.1:8765';
 
 // Local proxy for Azure OpenAI (secure)
 const PROXY_ENDPOINT = 'http://localhost:3002/api/generate-phrase';
+// Same generation, sent back piece by piece as Server-Sent Events
+const PROXY_STREAM_ENDPOINT = `${PROXY_ENDPOINT}/stream`;
+// Urgent alerts are relayed to caregiver pages by the proxy
+const ALERTS_ENDPOINT = 'http://localhost:3002/api/alerts';
+// Conversation sessions: recent turns go into the AI's prompt
+const CONVERSATIONS_ENDPOINT = 'http://localhost:3002/api/conversations';
 
 // Azure OpenAI connection state
 let azureFoundryAvailable = false;
@@ -34,7 +92,15 @@ const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAYS = [2000, 5000, 10000]; // 2s, 5s, 10s
 
 const boardEl = document.getElementById('board');
+const boardTitleEl = document.getElementById('boardTitle');
+const pageIndicatorEl = document.getElementById('pageIndicator');
 const chipsEl = document.getElementById('chips');
+const phraseStripEl = document.getElementById('phraseStrip');
+const suggestionsEl = document.getElementById('suggestions');
+const predictionEl = document.getElementById('prediction');
+const keyboardPanelEl = document.getElementById('keyboardPanel');
+const candidatesEl = document.getElementById('candidates');
+const keyboardLayoutEl = document.getElementById('keyboardLayout');
 const outputEl = document.getElementById('output');
 const connectBtn = document.getElementById('connect');
 const statusEl = document.getElementById('status');
@@ -46,157 +112,789 @@ const cursorAlpha = document.getElementById('cursorAlpha');
 const smoothness = document.getElementById('smoothness');
 const dwellTime = document.getElementById('dwellTime');
 const dwellDisplay = document.getElementById('dwellDisplay');
+const targetToleranceEl = document.getElementById('targetTolerance');
+const toleranceDisplay = document.getElementById('toleranceDisplay');
+const dwellGraceEl = document.getElementById('dwellGrace');
+const graceDisplay = document.getElementById('graceDisplay');
+const inputModeEl = document.getElementById('inputMode');
+const scanPatternEl = document.getElementById('scanPattern');
+const scanSpeedEl = document.getElementById('scanSpeed');
+const scanSpeedDisplay = document.getElementById('scanSpeedDisplay');
+const recordBtn = document.getElementById('recordSession');
+const replayBtn = document.getElementById('replaySession');
+const replayFileEl = document.getElementById('replayFile');
+const replaySpeedEl = document.getElementById('replaySpeed');
+const gazeGesturesEl = document.getElementById('gazeGestures');
+const blinkMinEl = document.getElementById('blinkMin');
+const blinkMaxEl = document.getElementById('blinkMax');
+const blinkDisplay = document.getElementById('blinkDisplay');
+const maxPictogramsEl = document.getElementById('maxPictograms');
+const maxPictogramsDisplay = document.getElementById('maxPictogramsDisplay');
+const speakSingleEl = document.getElementById('speakSingle');
+const chooseCandidatesEl = document.getElementById('chooseCandidates');
+const calibrateBtn = document.getElementById('calibrate');
+const calibrationPointsEl = document.getElementById('calibrationPoints');
+const calibrationStatusEl = document.getElementById('calibrationStatus');
 
 let selected = [];
-let ws = null;
+let maxPictograms = 6;
 let currentDwellMs = 2500;
 let currentSmooth = 0.15;
+let timeScale = 1; // > 1 while replaying a session at accelerated speed
+// While replaying, selections only change the screen: no speech, alerts, AI
+// requests, conversation turns, learned predictions or phrase history
+let dryRun = false;
+
+// Filters the raw gaze stream; hit-testing only happens on detected fixations
+const gazeFilter = createGazeFilter();
+
+// Named user profiles: control settings, language, board and calibration
+const profiles = createProfileManager({ defaultName: t('profile.defaultName') });
+
+// Gaze correction for the active profile (null = not calibrated)
+let activeCalibration = loadCalibration(profiles.activeId());
+
+// Cached rectangles of every dwell target, resolved by distance with hysteresis
+// Action buttons on screen (the board navigation ones are hidden when they do
+// not apply), so gaze and scanning never select a button the user cannot see
+function visibleActionButtons() {
+  return [...document.querySelectorAll('.action-btn')].filter(el => {
+    if (el.hidden) return false;
+    const r = el.getBoundingClientRect();
+    return r.width > 0 && r.height > 0;
+  });
+}
+
+const targetIndex = createTargetIndex({
+  getTargets: () => [
+    ...[...boardEl.querySelectorAll('.card')].map(el => ({ element: el, action: el.dataset.key })),
+    ...[...suggestionsEl.querySelectorAll('.card')].map(el => ({ element: el, action: el.dataset.key })),
+    ...[...chipsEl.querySelectorAll('.chip')].map(el => ({ element: el, action: el.dataset.key })),
+    ...[...phraseStripEl.querySelectorAll('.phrase-btn')].map(el => ({ element: el, action: el.dataset.key })),
+    ...[...keyboardPanelEl.querySelectorAll('.key')].map(el => ({ element: el, action: el.dataset.key })),
+    ...[...candidatesEl.querySelectorAll('.candidate')].map(el => ({ element: el, action: el.dataset.key })),
+    ...visibleActionButtons().map(el => ({ element: el, action: el.id }))
+  ]
+});
+
+window.addEventListener('resize', () => targetIndex.invalidate());
+window.addEventListener('scroll', () => targetIndex.invalidate(), { passive: true });
+// Catch layout shifts that do not come from a resize (chips wrapping, fonts loading)
+new ResizeObserver(() => targetIndex.invalidate()).observe(document.querySelector('main'));
+
+// Load the board file and show its root board
+// (a copy edited by a caregiver and saved in the browser takes precedence)
+async function loadBoard(url = profiles.active().board || BOARD_URL) {
+  try {
+    const fileSet = await loadBoardSet(url);
+    const stored = await getStoredBoardSet(fileSet.id).catch(error => {
+      console.warn('Could not read edited board from browser storage:', error.message);
+      return null;
+    });
+    boardNav = createBoardNavigator(stored ? validateBoardSet(stored) : fileSet);
+    loadedBoardUrl = url;
+    console.log(`Board loaded: ${url}${stored ? ' (edited copy)' : ''}`);
+  } catch (error) {
+    console.error('Could not load board:', error.message);
+    boardEl.textContent = t('board.loadError');
+    return;
+  }
+  renderBoard();
+  prepareImages(boardNav.boardSet());
+}
+
+// Switch to an edited board set, showing the board that was being edited
+function applyBoardSet(boardSet, boardId) {
+  boardNav = createBoardNavigator(validateBoardSet(boardSet));
+  if (boardId && boardId !== boardNav.boardId()) boardNav.open(boardId);
+  cancelDwell();
+  renderBoard();
+  prepareImages(boardNav.boardSet());
+}
 
-// Render grid
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Render grid (current page of the current board)
 function renderBoard() {
+  if (!boardNav) return;
   boardEl.innerHTML = ''; // Clear existing content
-  PICTOS.forEach(item => {
-    const el = document.createElement('button');
-    el.className = 'card';
-    el.dataset.key = item.key;
-    
-    // Get translated label
-    const translatedLabel = t(`pictograms.${item.key}`);
-    
-    // Get translated tags
-    const translatedTags = item.tags.map(tag => t(`tags.${tag}`)).join(', ');
-    
-    el.innerHTML = `
-      <div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>
-      <div class="emoji" aria-hidden="true">${item.emoji}</div>
-      <h3 class="label">${translatedLabel}</h3>
-      <p>${translatedTags}</p>
-    `;
-    setupDwellMouse(el, item.key);
-    boardEl.appendChild(el);
-  });
+  // Boards imported from other tools keep their number of columns
+  const columns = boardNav.board().columns;
+  boardEl.style.gridTemplateColumns = columns ? `repeat(${columns}, minmax(0, 1fr))` : '';
+  boardNav.pageItems().forEach(item => boardEl.appendChild(createCard(item)));
+  renderBoardNav();
+  renderSuggestions();
+  targetIndex.invalidate();
+  scanner.refresh();
 }
 
-// Dwell state
-let dwellTarget = null, dwellTimer = null, dwellStart = 0;
+// Card for a pictogram or folder (board grid and suggestion row)
+function createCard(item) {
+  const el = document.createElement('button');
+  el.className = item.type === 'folder' ? 'card folder' : 'card';
+  el.dataset.key = item.key;
+  
+  // Get translated label and subtitle (tags, or item count for folders)
+  const translatedLabel = escapeHtml(localize(item.label));
+  const subtitle = escapeHtml(pictogramSubtitle(item));
+  
+  // Symbol image (alt text = translated label), emoji otherwise
+  const image = pictogramImage(item);
+  const symbol = image
+    ? `<img src="${escapeHtml(image)}" alt="${translatedLabel}">`
+    : `<div class="emoji" aria-hidden="true">${escapeHtml(item.emoji || '')}</div>`;
+  
+  el.innerHTML = `
+    <div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>
+    ${symbol}
+    <h3 class="label">${translatedLabel}</h3>
+    <p>${subtitle}</p>
+  `;
+  const img = el.querySelector('img');
+  if (img) fallBackToEmoji(img, item, 'emoji');
+  setupDwellMouse(el, item.key);
+  return el;
+}
+
+// Title, page indicator and which navigation targets are available
+function renderBoardNav() {
+  if (!boardNav) return;
+  const pages = boardNav.pageCount();
+  boardTitleEl.textContent = localize(boardNav.board().title);
+  pageIndicatorEl.textContent = pages > 1
+    ? t('board.page').replace('{current}', boardNav.page() + 1).replace('{total}', pages)
+    : '';
+  document.getElementById('home').hidden = boardNav.isHome();
+  document.getElementById('back').hidden = boardNav.isHome();
+  document.getElementById('prevPage').hidden = boardNav.page() === 0;
+  document.getElementById('nextPage').hidden = boardNav.page() >= pages - 1;
+}
+
+function navigateBoard(action) {
+  if (!boardNav) return;
+  const moves = {
+    back: () => boardNav.back(),
+    home: () => boardNav.home(),
+    prevPage: () => boardNav.prevPage(),
+    nextPage: () => boardNav.nextPage()
+  };
+  if (moves[action]()) {
+    cancelDwell();
+    renderBoard();
+  }
+}
+
+function openFolder(key) {
+  if (boardNav && boardNav.open(key.slice(FOLDER_KEY_PREFIX.length))) {
+    cancelDwell();
+    renderBoard();
+  }
+}
+
+// Actions available to dwell, scanning, blinks and gestures
+const ACTIONS = ['clear', 'speak', 'undo', 'done', 'keyboard', 'back', 'home', 'prevPage', 'nextPage'];
+const NAV_ACTIONS = ['back', 'home', 'prevPage', 'nextPage'];
+const CHIP_KEY_PREFIX = 'chip:';   // Selected chips are targets too: 'chip:<index>'
+const PHRASE_KEY_PREFIX = 'phrase:';   // Saved phrases in the strip: 'phrase:<id>'
+
+// Frame-driven dwell with decay, grace period and post-selection lockout
+const dwell = createDwellController({
+  // Targets can scale the dwell time, e.g. data-dwell-factor="1.6" on "clear"
+  getDwellMs: (element) => currentDwellMs * (Number(element.dataset.dwellFactor) || 1),
+  onSelect: (keyOrAction) => {
+    dwellTarget = null;
+    dwellKey = null;
+    selectTarget(keyOrAction);
+  },
+  getTimeScale: () => timeScale
+});
+
+// Target currently under gaze / mouse
+let dwellTarget = null, dwellKey = null;
 
 function beginDwell(element, keyOrAction) {
+  // Switch scanning replaces dwell selection entirely; nothing dwells under the editor
+  if (scanner.isActive() || caregiverDialogOpen()) return;
   if (dwellTarget === element) return;
-  endDwell();
   dwellTarget = element;
-  dwellStart = performance.now();
-  dwellTimer = setInterval(() => {
-    if (!dwellTarget) return;
-    const elapsed = performance.now() - dwellStart;
-    const pct = Math.min(100, (elapsed / currentDwellMs) * 100);
-    const fill = dwellTarget.querySelector('.dwell-fill');
-    if (fill) fill.style.width = pct + '%';
-    if (pct >= 100) {
-      // Check if it's a pictogram key or an action
-      if (keyOrAction === 'clear' || keyOrAction === 'speak') {
-        executeAction(keyOrAction);
-      } else {
-        chooseKey(keyOrAction);
-      }
-      endDwell();
-    }
-  }, 60);
+  dwellKey = keyOrAction;
+  dwell.setTarget(element, keyOrAction);
 }
 
+// Gaze left the target: its progress decays during the grace period
 function endDwell() {
-  if (dwellTimer) clearInterval(dwellTimer);
-  dwellTimer = null;
-  dwellStart = 0;
-  if (dwellTarget) {
-    const fill = dwellTarget.querySelector('.dwell-fill');
-    if (fill) fill.style.width = '0%';
-  }
   dwellTarget = null;
+  dwellKey = null;
+  dwell.setTarget(null);
 }
 
-// Mouse fallback + visible cursor for testing (when WS not connected)
+// Drop all dwell progress at once (input or mode changes). Not a gaze
+// leaving the target, so a card just selected still needs one to dwell again.
+function cancelDwell() {
+  dwellTarget = null;
+  dwellKey = null;
+  dwell.reset();
+}
+
+// --- Input arbitration ---
+// Gaze drives the cursor and dwell while the stream is live; otherwise the
+// mouse takes over. Samples from the inactive source are ignored.
+let activeInput = 'mouse';
+
+function setActiveInput(input) {
+  if (activeInput === input) return;
+  activeInput = input;
+  cancelDwell();
+  gazeFilter.reset();
+  gazeGestures.reset();
+  console.log(`Input source: ${input}`);
+}
+
+// Mouse fallback + visible cursor for testing (when gaze is not live)
 document.addEventListener('mousemove', (e) => {
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+  if (activeInput === 'mouse') {
     showCursor(e.clientX, e.clientY);
   }
 });
 
 function setupDwellMouse(el, key) {
-  el.addEventListener('mouseenter', () => beginDwell(el, key));
-  el.addEventListener('mouseleave', endDwell);
+  el.addEventListener('mouseenter', () => { if (activeInput === 'mouse') beginDwell(el, key); });
+  el.addEventListener('mouseleave', () => { if (activeInput === 'mouse') endDwell(); });
   el.addEventListener('focus', () => beginDwell(el, key));
   el.addEventListener('blur', endDwell);
-  el.addEventListener('click', () => chooseKey(key));
+  el.addEventListener('click', () => selectTarget(key));
 }
 
 // Setup dwell for action buttons
 function setupDwellAction(el, action) {
-  el.addEventListener('mouseenter', () => beginDwell(el, action));
-  el.addEventListener('mouseleave', endDwell);
+  el.addEventListener('mouseenter', () => { if (activeInput === 'mouse') beginDwell(el, action); });
+  el.addEventListener('mouseleave', () => { if (activeInput === 'mouse') endDwell(); });
   el.addEventListener('focus', () => beginDwell(el, action));
   el.addEventListener('blur', endDwell);
   el.addEventListener('click', () => executeAction(action));
 }
 
+// Select a pictogram key or run an action (shared by dwell and scanning)
+function selectTarget(keyOrAction) {
+  sessionRecorder.recordEvent('select', { target: keyOrAction });
+  // Check if it's a pictogram key or an action
+  if (ACTIONS.includes(keyOrAction)) {
+    executeAction(keyOrAction);
+  } else if (keyOrAction.startsWith(CHIP_KEY_PREFIX)) {
+    removeChip(Number(keyOrAction.slice(CHIP_KEY_PREFIX.length)));
+  } else if (keyOrAction.startsWith(PHRASE_KEY_PREFIX)) {
+    speakSavedPhrase(keyOrAction.slice(PHRASE_KEY_PREFIX.length));
+  } else if (keyOrAction.startsWith(KEYBOARD_KEY_PREFIX)) {
+    keyboard.press(keyOrAction.slice(KEYBOARD_KEY_PREFIX.length));
+  } else if (keyOrAction.startsWith(CANDIDATE_KEY_PREFIX)) {
+    candidatePicker.choose(keyOrAction.slice(CANDIDATE_KEY_PREFIX.length));
+  } else if (keyOrAction.startsWith(FOLDER_KEY_PREFIX)) {
+    openFolder(keyOrAction);
+  } else if (urgencyOf(findPictogram(keyOrAction))) {
+    raiseAlert(findPictogram(keyOrAction));
+  } else {
+    chooseKey(keyOrAction);
+  }
+}
+
 // Execute actions for buttons
 function executeAction(action) {
+  // Any action but reading aloud leaves the choice of phrases
+  if (action !== 'speak') candidatePicker.hide();
   if (action === 'clear') {
+    cancelGeneration();
     selected = [];
     renderChips();
     outputEl.value = '';
   } else if (action === 'speak') {
     speak(outputEl.value.trim());
+  } else if (action === 'undo') {
+    if (!selected.length) return;
+    selected.pop();
+    renderChips();
+    outputEl.value = '';
+  } else if (action === 'done') {
+    finishMessage();
+  } else if (action === 'keyboard') {
+    toggleKeyboard();
+  } else if (NAV_ACTIONS.includes(action)) {
+    navigateBoard(action);
   }
 }
 
-// Selection
+// Selection (pictogram keys and free-text chips); false when the message is full
 function chooseKey(key) {
-  if (selected.length >= 3) return;
+  if (selected.length >= maxPictograms) {
+    // Message is full: flash the chips instead of dropping the choice silently
+    chipsEl.classList.remove('chips-full');
+    void chipsEl.offsetWidth;
+    chipsEl.classList.add('chips-full');
+    return false;
+  }
   selected.push(key);
   renderChips();
-  if (selected.length === 3) {
-    composeAndSpeak(selected);
+  return true;
+}
+
+// "Done": a single pictogram can be spoken as it is, longer messages go to the AI
+function finishMessage() {
+  if (!selected.length) return;
+  if (!dryRun) predictor.learn(selected);
+  if (selected.length === 1 && speakSingleEl.checked) {
+    const phrase = pictogramLabel(selected[0]);
+    outputEl.value = phrase;
+    speak(phrase);
+    recordUserTurn(phrase);
+    return;
   }
+  composeAndSpeak(selected);
+}
+
+// Dwelling on (or clicking) a chip removes it from the message
+function removeChip(index) {
+  if (index < 0 || index >= selected.length) return;
+  selected.splice(index, 1);
+  renderChips();
+  outputEl.value = '';
 }
 
 function renderChips() {
   chipsEl.innerHTML = '';
   selected.forEach((key, i) => {
-    const chip = document.createElement('span');
-    chip.className = 'chip';
-    chip.textContent = t(`pictograms.${key}`);
-    chip.title = t('retryButton'); // Using "Remove" equivalent
-    chip.addEventListener('click', () => {
-      selected.splice(i, 1);
-      renderChips();
-      outputEl.value = '';
-    });
+    const chip = document.createElement('button');
+    chip.className = key.startsWith(TEXT_KEY_PREFIX) ? 'chip text-chip' : 'chip';
+    chip.dataset.key = CHIP_KEY_PREFIX + i;
+    chip.dataset.dwellFactor = '1.6';
+    chip.title = t('removeChip').replace('{label}', pictogramLabel(key));
+    chip.setAttribute('aria-label', chip.title);
+    chip.innerHTML = '<div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>';
+    const item = findPictogram(key);
+    const image = item && pictogramImage(item);
+    if (image) {
+      const img = document.createElement('img');
+      img.className = 'chip-symbol';
+      img.src = image;
+      img.alt = '';   // The label follows as text
+      fallBackToEmoji(img, item, 'chip-symbol');
+      chip.appendChild(img);
+    } else if (item && item.emoji) {
+      chip.appendChild(emojiSymbol(item, 'chip-symbol'));
+    }
+    chip.append(pictogramLabel(key));
+    setupDwellMouse(chip, chip.dataset.key);
     chipsEl.appendChild(chip);
   });
+  // Chips can push the action buttons down, and are scan targets themselves
+  targetIndex.invalidate();
+  scanner.refresh();
+  renderSuggestions();
 }
 
-document.getElementById('clear').addEventListener('click', () => {
-  selected = [];
-  renderChips();
-  outputEl.value = '';
+// --- Next-pictogram prediction ---
+// Learned from the user's completed messages (per profile). The row keeps
+// its height while empty so the board never moves under the user's gaze.
+const predictor = createPredictor({ getUserId: () => profiles.activeId() });
+const SUGGESTION_COUNT = 4;
+
+// Likely next pictograms: shown in the suggestion row (from any board) and
+// highlighted when they are on the current page
+function renderSuggestions() {
+  suggestionsEl.innerHTML = '';
+  suggestionsEl.hidden = !predictionEl.checked || keyboard.isOpen();
+  const predicted = new Set();
+  if (predictionEl.checked && boardNav) {
+    predictor.predict(selected, {
+      limit: SUGGESTION_COUNT,
+      exclude: selected,
+      candidates: new Set(Object.keys(boardNav.boardSet().pictograms))
+    }).forEach(({ key }) => {
+      predicted.add(key);
+      suggestionsEl.appendChild(createCard(boardNav.find(key)));
+    });
+  }
+  boardEl.querySelectorAll('.card').forEach(el => el.classList.toggle('predicted', predicted.has(el.dataset.key)));
+  targetIndex.invalidate();
+  scanner.refresh();
+}
+
+predictionEl.addEventListener('change', renderSuggestions);
+
+document.getElementById('resetPrediction').addEventListener('click', () => {
+  if (!confirm(t('prediction.confirmReset').replace('{name}', profiles.active().name))) return;
+  predictor.reset();
+  renderSuggestions();
 });
 
-document.getElementById('speak').addEventListener('click', () => {
-  speak(outputEl.value.trim());
+// Setup dwell for action buttons (a click runs the action too)
+['undo', 'clear', 'done', 'speak', 'keyboard'].forEach(action => setupDwellAction(document.getElementById(action), action));
+NAV_ACTIONS.forEach(action => setupDwellAction(document.getElementById(action), action));
+
+// --- Caregiver board editor ---
+// Opened with a regular click only: it is not a dwell or scanning target
+const boardEditor = createBoardEditor({
+  dialog: document.getElementById('boardEditor'),
+  languages: Object.keys(translations),
+  onChange: (boardSet, boardId) => {
+    applyBoardSet(boardSet, boardId);
+    storeBoardSet(boardSet).catch(error => {
+      console.error('Could not save board in browser storage:', error.message);
+      alert(t('editor.saveError'));
+    });
+  },
+  onReset: async () => {
+    if (boardNav) await deleteStoredBoardSet(boardNav.boardSet().id);
+    await loadBoard();
+  }
 });
 
-// Setup dwell for action buttons
-setupDwellAction(document.getElementById('clear'), 'clear');
-setupDwellAction(document.getElementById('speak'), 'speak');
+document.getElementById('openEditor').addEventListener('click', () => {
+  if (!boardNav) return;
+  cancelDwell();
+  boardEditor.open(boardNav.boardSet(), boardNav.boardId());
+});
+
+// --- Phrase history and favorites ---
+// Generated phrases are saved per profile; favorites and recent ones are
+// dwell targets in the strip above the board
+const phraseHistory = createPhraseHistory({ getUserId: () => profiles.activeId() });
+const phraseManager = createPhraseManager({
+  dialog: document.getElementById('phraseManager'),
+  history: phraseHistory,
+  onChange: () => renderPhraseStrip()
+});
+
+function renderPhraseStrip() {
+  phraseStripEl.innerHTML = '';
+  const entries = phraseHistory.stripEntries(currentLanguage);
+  entries.forEach(entry => {
+    const btn = document.createElement('button');
+    btn.className = entry.pinned ? 'phrase-btn pinned' : 'phrase-btn';
+    btn.dataset.key = PHRASE_KEY_PREFIX + entry.id;
+    btn.innerHTML = '<div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>';
+    btn.append((entry.pinned ? '⭐ ' : '') + entry.text);
+    setupDwellMouse(btn, btn.dataset.key);
+    phraseStripEl.appendChild(btn);
+  });
+  phraseStripEl.hidden = entries.length === 0;
+  targetIndex.invalidate();
+  scanner.refresh();
+}
+
+// Adds a spoken phrase to the history and the strip
+function rememberPhrase(text, keys) {
+  if (dryRun) return;
+  phraseHistory.add(text, keys, currentLanguage);
+  renderPhraseStrip();
+}
+
+// Spoken right away; the strip keeps its order until the next phrase is
+// generated so targets do not move under the user's gaze
+function speakSavedPhrase(id) {
+  const entry = dryRun ? phraseHistory.get(id) : phraseHistory.use(id);
+  if (!entry) return;
+  outputEl.value = entry.text;
+  speak(entry.text);
+  recordUserTurn(entry.text);
+}
+
+// --- On-screen keyboard ---
+// Replaces the board while open; typed text becomes a free-text chip or is
+// spoken directly. Completion uses the language's dictionary (loaded on
+// first use) and the words of the user's saved phrases.
+const dictionaries = {};
+
+const keyboard = createKeyboard({
+  container: keyboardPanelEl,
+  getLanguage: () => currentLanguage,
+  getLayout: () => keyboardLayoutEl.value,
+  getCompletions: (prefix) => completeWord(prefix, {
+    history: historyWords(phraseHistory.list().filter(entry => entry.language === currentLanguage)),
+    dictionary: dictionaries[currentLanguage] || []
+  }),
+  setupTarget: setupDwellMouse,
+  onAdd: (text) => chooseKey(TEXT_KEY_PREFIX + text),
+  onSay: (text) => {
+    outputEl.value = text;
+    speak(text);
+    rememberPhrase(text, [TEXT_KEY_PREFIX + text]);
+    recordUserTurn(text, 'typed');
+  },
+  onChange: () => {
+    targetIndex.invalidate();
+    scanner.refresh();
+  }
+});
+
+async function loadKeyboardDictionary(language) {
+  if (dictionaries[language]) return;
+  dictionaries[language] = await loadDictionary(language);
+  if (language === currentLanguage) keyboard.refresh();
+}
+
+function toggleKeyboard() {
+  cancelDwell();
+  if (keyboard.isOpen()) {
+    keyboard.close();
+  } else {
+    keyboard.open();
+    loadKeyboardDictionary(currentLanguage);
+  }
+  document.querySelector('main').classList.toggle('keyboard-open', keyboard.isOpen());
+  renderKeyboardButton();
+  renderSuggestions();
+}
+
+// The action button switches between the keyboard and the pictograms
+function renderKeyboardButton() {
+  const open = keyboard.isOpen();
+  document.querySelector('#keyboard .emoji').textContent = open ? '🖼️' : '⌨️';
+  document.querySelector('#keyboard span').textContent = t(open ? 'keyboard.close' : 'keyboard.open');
+}
+
+keyboardLayoutEl.addEventListener('change', () => keyboard.refresh());
+
+// --- Phrase candidates ---
+// The AI's readings of the message replace the board until one is chosen
+const candidatePicker = createCandidatePicker({
+  container: candidatesEl,
+  setupTarget: setupDwellMouse,
+  onChoose: (candidate) => {
+    outputEl.value = candidate.phrase;
+    rememberPhrase(candidate.phrase, selected);
+    speak(candidate.phrase);
+    recordUserTurn(candidate.phrase);
+  },
+  onNone: () => {
+    outputEl.value = '';
+  },
+  onChange: () => {
+    cancelDwell();
+    document.querySelector('main').classList.toggle('choosing', candidatePicker.isOpen());
+    targetIndex.invalidate();
+    scanner.refresh();
+  }
+});
+
+// --- Conversation with the caregiver ---
+// The caregiver types (or dictates) what they say; with the phrases the user
+// says it goes to the proxy's conversation session. Operated by click, not gaze.
+const conversationTurnsEl = document.getElementById('conversationTurns');
+const caregiverTurnForm = document.getElementById('caregiverTurnForm');
+const caregiverTurnEl = document.getElementById('caregiverTurn');
+const caregiverListenBtn = document.getElementById('caregiverListen');
+
+const conversation = createConversation({
+  endpoint: CONVERSATIONS_ENDPOINT,
+  getUserId: () => profiles.activeId(),
+  onChange: () => renderConversation()
+});
+
+function renderConversation() {
+  conversationTurnsEl.innerHTML = '';
+  conversation.turns().forEach(turn => {
+    const li = document.createElement('li');
+    li.className = turn.role;
+    const who = document.createElement('span');
+    who.className = 'who';
+    who.textContent = t(`conversation.${turn.role}`);
+    li.append(who, turn.text);
+    conversationTurnsEl.appendChild(li);
+  });
+}
+
+// Phrases the user says become their turns (not sent while offline)
+function recordUserTurn(text, source = 'generated') {
+  if (!navigator.onLine || dryRun) return;
+  conversation.addTurn('user', text, source);
+}
+
+async function addCaregiverTurn(text, source) {
+  if (!await conversation.addTurn('caregiver', text, source)) updateAIStatus(t('conversation.unavailable'));
+}
 
-function speak(text) {
+caregiverTurnForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = caregiverTurnEl.value.trim();
+  if (!text) return;
+  caregiverTurnEl.value = '';
+  addCaregiverTurn(text, 'typed');
+});
+
+document.getElementById('newConversation').addEventListener('click', () => conversation.reset());
+
+// Dictation where the browser supports speech recognition
+const turnListener = createTurnListener({
+  getLanguage: () => currentLanguage,
+  onText: (text) => addCaregiverTurn(text, 'transcribed'),
+  onEnd: () => renderListenButton()
+});
+
+function renderListenButton() {
+  const listening = turnListener !== null && turnListener.isListening();
+  caregiverListenBtn.textContent = t(listening ? 'conversation.listening' : 'conversation.listen');
+  caregiverListenBtn.classList.toggle('listening', listening);
+}
+
+if (turnListener) {
+  caregiverListenBtn.hidden = false;
+  caregiverListenBtn.addEventListener('click', () => {
+    if (turnListener.isListening()) {
+      turnListener.stop();
+    } else {
+      turnListener.start();
+    }
+    renderListenButton();
+  });
+}
+
+// --- Urgent alerts ---
+// Urgent pictograms skip the message: alarm, spoken phrase and a push to
+// caregiver pages, repeated until acknowledged (by click, never by gaze)
+const alertController = createAlertController({
+  overlay: document.getElementById('alertOverlay'),
+  speak: (text) => speak(text),
+  send: async (alert) => {
+    const res = await fetch(ALERTS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).caregivers;
+  },
+  sendAck: (alert) => fetch(`${ALERTS_ENDPOINT}/${encodeURIComponent(alert.id)}/ack`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ by: profiles.active().name })
+  }),
+  onChange: () => cancelDwell()
+});
+
+function raiseAlert(item) {
+  if (dryRun) {
+    console.log(`Replay: alert "${item.key}" not raised`);
+    return;
+  }
+  alertController.raise({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    key: item.key,
+    label: localize(item.label),
+    phrase: localize(item.alert) || localize(item.label),
+    level: item.urgency,
+    user: profiles.active().name,
+    language: currentLanguage
+  });
+}
+
+document.getElementById('alertAck').addEventListener('click', () => alertController.acknowledge());
+
+// Acknowledgements made on caregiver pages (EventSource reconnects by itself)
+function connectAlertStream() {
+  if (typeof EventSource === 'undefined') return;
+  const stream = new EventSource(`${ALERTS_ENDPOINT}/stream?role=user`);
+  stream.addEventListener('ack', (e) => {
+    alertController.acknowledgedRemotely(JSON.parse(e.data).id);
+  });
+}
+
+// Caregiver dialogs and the urgent alert screen are operated with a click,
+// never by gaze (attention alerts are a banner and gaze keeps working)
+function caregiverDialogOpen() {
+  return boardEditor.isOpen() || phraseManager.isOpen() || alertController.isBlocking();
+}
+
+document.getElementById('openPhrases').addEventListener('click', () => {
+  cancelDwell();
+  phraseManager.open();
+});
+
+// --- Blink selection and gaze gestures ---
+const gazeGestures = createGazeGestures({
+  // A deliberate blink confirms the hovered card or action
+  onBlink: (durationMs) => {
+    if (!dwellTarget) return;
+    console.log(`Blink selection (${Math.round(durationMs)}ms): ${dwellKey}`);
+    const key = dwellKey;
+    cancelDwell();
+    selectTarget(key);
+  },
+  // Off-screen left undoes the last chip, off-screen right speaks
+  onGesture: (side) => {
+    console.log(`Gaze gesture: ${side}`);
+    selectTarget(side === 'left' ? 'undo' : 'speak');
+  }
+});
+
+function updateGestureControls() {
+  const blinkMinMs = Number(blinkMinEl.value);
+  const blinkMaxMs = Math.max(blinkMinMs, Number(blinkMaxEl.value));
+  blinkDisplay.textContent = `${(blinkMinMs / 1000).toFixed(1)}-${(blinkMaxMs / 1000).toFixed(1)}s`;
+  gazeGestures.configure({
+    blinkEnabled: inputModeEl.value === 'blink',
+    gesturesEnabled: gazeGesturesEl.checked,
+    blinkMinMs,
+    blinkMaxMs
+  });
+}
+
+gazeGesturesEl.addEventListener('change', updateGestureControls);
+blinkMinEl.addEventListener('input', updateGestureControls);
+blinkMaxEl.addEventListener('input', updateGestureControls);
+
+// --- Switch scanning ---
+const scanner = createScanner({
+  getTargets: () => [
+    ...phraseStripEl.querySelectorAll('.phrase-btn'),
+    // The phrase candidates or the keyboard take the place of the board while open
+    ...(candidatePicker.isOpen()
+      ? candidatesEl.querySelectorAll('.candidate')
+      : keyboard.isOpen()
+        ? keyboardPanelEl.querySelectorAll('.key')
+        : [...suggestionsEl.querySelectorAll('.card'), ...boardEl.querySelectorAll('.card')]),
+    ...chipsEl.querySelectorAll('.chip'),
+    ...visibleActionButtons()
+  ],
+  onSelect: (el) => selectTarget(el.dataset.key || el.id)
+});
+
+function updateScanControls() {
+  const mode = inputModeEl.value;
+  const intervalMs = Number(scanSpeedEl.value);
+  scanSpeedDisplay.textContent = (intervalMs / 1000).toFixed(1) + 's';
+  cancelDwell();
+  // In blink mode dwell only marks the target, the blink selects it
+  dwell.configure({ autoSelect: mode !== 'blink' });
+  // Dwell and blink modes are not scanning modes
+  scanner.configure({ mode: mode === 'blink' ? 'dwell' : mode, pattern: scanPatternEl.value, intervalMs });
+  updateGestureControls();
+}
+
+inputModeEl.addEventListener('change', updateScanControls);
+scanPatternEl.addEventListener('change', updateScanControls);
+scanSpeedEl.addEventListener('input', updateScanControls);
+
+// Switch interfaces send Space / Enter as key presses
+document.addEventListener('keydown', (e) => {
+  // Typing the caregiver's turn is not a switch press
+  if (caregiverTurnForm.contains(e.target)) return;
+  if (!caregiverDialogOpen() && scanner.handleKey(e)) e.preventDefault();
+});
+
+// `queue` says the text after what is being spoken (the sentences of a
+// phrase that is still being generated) instead of interrupting it
+function speak(text, { queue = false } = {}) {
   if (!text || !text.trim()) {
     console.warn('No text to speak');
     return;
   }
+  // A replayed session is silent
+  if (dryRun) return;
   
   // Cancel any previous speech
-  speechSynthesis.cancel();
+  if (!queue) speechSynthesis.cancel();
   
   const utterance = new SpeechSynthesisUtterance(text.trim());
   
@@ -268,47 +966,54 @@ function updateSpeechStatus(message) {
   }
 }
 
-// Generate phrases using local proxy (secure)
-async function composeRemote(concepts) {
+// Generate phrases using local proxy (secure). Resolves with up to `count`
+// candidates ({ phrase, kind }, most likely first). A single phrase is
+// streamed: `onText(text)` gets it as it grows. Aborting `signal` cancels it.
+async function composeRemote(concepts, { signal, onText, count = 1 } = {}) {
+  // A replayed session must not reach the AI: its phrases are generated locally
+  if (dryRun) {
+    console.log('Replaying a session, using local generation');
+    return composeLocalCandidates(concepts, count);
+  }
+
+  // Without a network the proxy cannot reach Azure: generate locally at once
+  if (!navigator.onLine) {
+    console.log('Device offline, using local generation');
+    updateAIStatus(t('messages.offlineLocal'));
+    return composeLocalCandidates(concepts, count);
+  }
+
   // If Azure is not available, use local fallback directly
   if (!azureFoundryAvailable) {
     console.log('Azure Foundry not available, using local generation');
     updateAIStatus('Usando generación local');
-    return composeLocal(concepts);
+    return composeLocalCandidates(concepts, count);
   }
 
   try {
     // Show loading state
     updateAIStatus('Generando con Azure IA...');
     
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-    const res = await fetch(PROXY_ENDPOINT, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ 
-        concepts: concepts,
-        language: currentLanguage,
-        translatedConcepts: concepts.map(key => t(`pictograms.${key}`))
-      }),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!res.ok) {
-      const errorData = await res.json();
-      throw new Error(`HTTP ${res.status}: ${errorData.error || 'Proxy error'}`);
-    }
+    const body = {
+      concepts: concepts,
+      language: currentLanguage,
+      translatedConcepts: concepts.map(pictogramLabel),
+      // Grammar for the proxy's own local fallback
+      pictograms: concepts.map(phraseItem),
+      // Personal profile the proxy adds to the prompt (name, caregivers, room...)
+      userId: profiles.activeId(),
+      // What was just said, so the phrase can answer the caregiver
+      sessionId: conversation.sessionId()
+    };
+    const data = count > 1
+      ? await fetchCandidates(PROXY_ENDPOINT, body, { count, signal })
+      : await streamPhrase(PROXY_STREAM_ENDPOINT, body, { signal, onText });
     
-    const data = await res.json();
-    const text = data.phrase || '';
+    const candidates = data.candidates || (data.phrase ? [{ phrase: data.phrase, kind: 'statement' }] : []);
     
-    if (text) {
-      if (data.source === 'azure_foundry' || data.source === 'azure_openai') {
+    if (candidates.length) {
+      // Any AI provider of the proxy (Azure, a local server, the mock)
+      if (data.source && data.source !== 'local_fallback') {
         updateAIStatus('Generado con Azure IA ✓');
       } else {
         updateAIStatus('Azure falló - Generado localmente ✓');
@@ -316,25 +1021,27 @@ async function composeRemote(concepts) {
         azureFoundryAvailable = false;
         updateAzureStatus(false, 'Azure no respondió');
       }
-      return text;
+      return candidates;
     } else {
       throw new Error('Respuesta vacía del proxy');
     }
     
   } catch (e) {
+    // Cancelled by the user: nothing to fall back to
+    if (signal && signal.aborted) throw e;
     console.warn('Fallo del proxy, usando generación local:', e);
     
     // Marcar Azure como no disponible
     azureFoundryAvailable = false;
     updateAzureStatus(false, t('messages.connectionError'));
     
-    if (e.name === 'AbortError') {
+    if (e.name === 'TimeoutError') {
       updateAIStatus('Timeout - usando local');
     } else {
       updateAIStatus(t('messages.aiError'));
     }
     
-    return composeLocal(concepts);
+    return composeLocalCandidates(concepts, count);
   }
 }
 
@@ -429,6 +1136,10 @@ async function checkAzureFoundryStatus(showLoading = true) {
   }
 }
 
+// Losing the network switches generation to local until it comes back
+window.addEventListener('offline', () => updateAzureStatus(false, t('messages.offline'), false));
+window.addEventListener('online', () => checkAzureFoundryStatus());
+
 // Function to periodically check Azure status
 function startAzureStatusMonitoring() {
   // Check immediately
@@ -459,40 +1170,106 @@ function updateAIStatus(message) {
   }
 }
 
-// Local fallback
+// --- Local fallback ---
+// Rule-based generation (phrase-generator.js) with the grammar of each
+// pictogram and the rules of the language, loaded once per language
+const phraseRules = {};
+
+async function loadPhraseRules(language) {
+  if (phraseRules[language]) return;
+  const url = PHRASE_RULES_URL.replace('{language}', language);
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+    phraseRules[language] = await res.json();
+  } catch (error) {
+    console.warn('Could not load phrase rules:', error.message);
+  }
+}
+
+// Message item for the generator: key, translated label and grammar
+function phraseItem(key) {
+  const item = findPictogram(key);
+  return { key, label: pictogramLabel(key), grammar: item ? item.grammar : undefined };
+}
+
 function composeLocal(concepts) {
-  const set = new Set(concepts);
-  if (set.has('yo') && set.has('agua')) return 'Por favor, necesito un vaso de agua.';
-  if (set.has('yo') && set.has('comida')) return 'Por favor, necesito un plato de comida.';
-  if (set.has('tu') && set.has('agua')) return '¿Puedes traerme un vaso de agua, por favor?';
-  if (set.has('yo') && set.has('baño')) return 'Necesito ir al baño, por favor.';
-  if (set.has('yo') && set.has('tele')) return 'Quiero ver la televisión.';
-  if (set.has('yo') && set.has('dormir')) return 'Tengo sueño, quiero dormir.';
-  if (set.has('yo') && set.has('ayuda')) return 'Por favor, necesito ayuda.';
-  if (set.has('yo') && set.has('dolor')) return 'Me duele algo, no me siento bien.';
-  if (set.has('yo') && set.has('calor')) return 'Tengo mucho calor.';
-  if (set.has('tu') && set.has('ayuda')) return '¿Puedes ayudarme, por favor?';
-  return `Quiero comunicar: ${concepts.join(', ')}.`;
+  const rules = phraseRules[currentLanguage];
+  if (!rules) return `${concepts.map(pictogramLabel).join(', ')}.`;
+  return generatePhrase(concepts.map(phraseItem), rules);
 }
 
+// Local readings of the message (the first is composeLocal's phrase)
+function composeLocalCandidates(concepts, count = 1) {
+  const rules = phraseRules[currentLanguage];
+  if (!rules) return [{ phrase: composeLocal(concepts), kind: 'statement' }];
+  return generateCandidates(concepts.map(phraseItem), rules, count);
+}
+
+// Generation in progress, aborted when the message is cleared
+let generationController = null;
+
+function cancelGeneration() {
+  if (!generationController) return;
+  generationController.abort();
+  generationController = null;
+  speechSynthesis.cancel();
+  outputEl.style.fontStyle = 'normal';
+  outputEl.style.opacity = '1';
+  updateAIStatus(t('messages.aiCancelled'));
+}
+
+// With "choose among phrases" the user picks one of the AI's readings before
+// anything is spoken; otherwise the single phrase is spoken as it streams in
 async function composeAndSpeak(concepts) {
+  cancelGeneration();
+  const controller = new AbortController();
+  generationController = controller;
+  const choose = chooseCandidatesEl.checked;
+  // Complete sentences are spoken while the rest is still being generated
+  const speaker = createSentenceSpeaker(sentence => speak(sentence, { queue: true }));
   try {
     outputEl.value = t('messages.aiProcessing');
     outputEl.style.fontStyle = 'italic';
     outputEl.style.opacity = '0.7';
     
-    const phrase = await composeRemote(concepts);
-    
-    outputEl.value = phrase;
+    const candidates = await composeRemote(concepts, {
+      signal: controller.signal,
+      count: choose ? PHRASE_CANDIDATES : 1,
+      onText: (text) => {
+        outputEl.value = text;
+        outputEl.style.fontStyle = 'normal';
+        speaker.update(text);
+      }
+    });
+    generationController = null;
     outputEl.style.fontStyle = 'normal';
     outputEl.style.opacity = '1';
     
-    // Add a small delay to let user see the generated text before speaking
-    setTimeout(() => {
-      speak(phrase);
-    }, 500);
+    if (candidates.length > 1) {
+      outputEl.value = '';
+      candidatePicker.show(candidates);
+      return;
+    }
+    
+    const phrase = candidates[0].phrase;
+    outputEl.value = phrase;
+    rememberPhrase(phrase, concepts);
+    recordUserTurn(phrase);
+    
+    if (speaker.hasSpoken()) {
+      // Say the rest, or all of it again if the phrase was replaced
+      if (!speaker.finish(phrase)) speak(phrase);
+    } else {
+      // Add a small delay to let user see the generated text before speaking
+      setTimeout(() => {
+        speak(phrase);
+      }, 500);
+    }
     
   } catch (error) {
+    if (controller.signal.aborted) return;
+    generationController = null;
     console.error('Error en composición y habla:', error);
     outputEl.value = t('messages.aiError');
     outputEl.style.fontStyle = 'normal';
@@ -533,92 +1310,121 @@ function updateControls() {
   currentSmooth = Number(smoothness.value) / 100;
   currentDwellMs = Number(dwellTime.value);
   dwellDisplay.textContent = (currentDwellMs / 1000).toFixed(1) + 's';
+  const graceMs = Number(dwellGraceEl.value);
+  graceDisplay.textContent = (graceMs / 1000).toFixed(1) + 's';
+  dwell.configure({ graceMs });
+  const tolerance = Number(targetToleranceEl.value);
+  toleranceDisplay.textContent = tolerance + 'px';
+  targetIndex.configure({ tolerance });
+  maxPictograms = Number(maxPictogramsEl.value);
+  maxPictogramsDisplay.textContent = maxPictograms;
 }
 
 cursorSize.addEventListener('input', updateControls);
 cursorAlpha.addEventListener('input', updateControls);
 smoothness.addEventListener('input', updateControls);
 dwellTime.addEventListener('input', updateControls);
+targetToleranceEl.addEventListener('input', updateControls);
+dwellGraceEl.addEventListener('input', updateControls);
+maxPictogramsEl.addEventListener('input', updateControls);
 updateControls();
 
 // WebSocket gaze
-function connectWS() {
-  try {
-    ws = new WebSocket(WS_URL);
-    ws.onopen = () => { statusEl.textContent = t('statusConnected'); statusEl.classList.add('ok'); statusEl.classList.remove('err'); gazeCursor.style.display='block'; };
-    ws.onclose = () => { statusEl.textContent = t('statusDisconnected'); statusEl.classList.remove('ok'); };
-    ws.onerror = () => { statusEl.textContent = t('messages.connectionError'); statusEl.classList.add('err'); };
-    ws.onmessage = (evt) => {
-      const point = parseGazeMessage(evt.data);
-      if (!point) return;
-      const x = clamp01(point.xNorm ?? (point.x / window.innerWidth));
-      const y = clamp01(point.yNorm ?? (point.y / window.innerHeight));
-      const px = x * window.innerWidth;
-      const py = y * window.innerHeight;
-      showCursor(px, py);
-      
-      // Buscar elementos en un área más amplia para facilitar la selección
-      const tolerance = 30; // píxeles de tolerancia
-      let targetElement = null;
-      let targetAction = null;
-      
-      // Probar punto exacto primero
-      let el = document.elementFromPoint(px, py);
-      let card = el && el.closest ? el.closest('.card') : null;
-      let actionBtn = el && el.closest ? el.closest('.action-btn') : null;
-      
-      if (card && card.parentElement === boardEl) {
-        targetElement = card;
-      } else if (actionBtn) {
-        targetElement = actionBtn;
-        targetAction = actionBtn.id; // 'clear' or 'speak'
-      } else {
-        // Si no hay éxito, probar puntos alrededor con tolerancia
-        for (let dx = -tolerance; dx <= tolerance && !targetElement; dx += tolerance) {
-          for (let dy = -tolerance; dy <= tolerance && !targetElement; dy += tolerance) {
-            const testX = px + dx;
-            const testY = py + dy;
-            if (testX >= 0 && testX < window.innerWidth && testY >= 0 && testY < window.innerHeight) {
-              el = document.elementFromPoint(testX, testY);
-              card = el && el.closest ? el.closest('.card') : null;
-              actionBtn = el && el.closest ? el.closest('.action-btn') : null;
-              
-              if (card && card.parentElement === boardEl) {
-                targetElement = card;
-                break;
-              } else if (actionBtn) {
-                targetElement = actionBtn;
-                targetAction = actionBtn.id;
-                break;
-              }
-            }
-          }
-        }
-      }
-      
-      if (targetElement) {
-        if (targetAction) {
-          beginDwell(targetElement, targetAction);
-        } else {
-          beginDwell(targetElement, targetElement.dataset.key);
-        }
-      } else {
-        endDwell();
-      }
-    };
-  } catch (e) {
-    statusEl.textContent = t('messages.connectionError');
-    statusEl.classList.add('err');
+const gazeConnection = createGazeConnection({
+  url: WS_URL,
+  onMessage: (data) => {
+    // A replay owns the gaze pipeline while it runs
+    if (sessionReplayer.isPlaying()) return;
+    sessionRecorder.record(data);
+    handleGazeMessage(data);
+  },
+  onStateChange: () => {
+    refreshActiveInput();
+    renderGazeStatus();
+  }
+});
+
+function handleGazeMessage(data) {
+  const point = parseGazeMessage(data);
+  if (!point) return;
+  handleGazePoint(point);
+}
+
+function refreshActiveInput() {
+  setActiveInput(sessionReplayer.isPlaying() || gazeConnection.isLive() ? 'gaze' : 'mouse');
+}
+
+// Status badge: connecting / live / stale / lost (or replaying a session)
+function renderGazeStatus() {
+  if (sessionReplayer.isPlaying()) {
+    statusEl.textContent = t('gazeStatus.replay');
+    statusEl.className = 'badge warning';
+    return;
+  }
+  const state = gazeConnection.getState();
+  statusEl.textContent = t(`gazeStatus.${state}`);
+  statusEl.className = 'badge';
+  statusEl.classList.add(state === 'live' ? 'ok' : state === 'lost' ? 'err' : 'warning');
+}
+
+// Gaze pipeline: raw sample -> viewport pixels -> filter/fixation -> cursor + dwell
+function handleGazePoint(point) {
+  if (activeInput !== 'gaze') return;
+  // The caregiver dialogs are never operated by gaze
+  if (caregiverDialogOpen()) return;
+
+  const rawX = point.xNorm ?? (point.x / window.innerWidth);
+  const rawY = point.yNorm ?? (point.y / window.innerHeight);
+
+  // While calibrating, samples are recorded uncorrected and never reach the board
+  if (calibrationSession.isRunning()) {
+    if (point.valid !== false) calibrationSession.addSample(rawX, rawY);
+    return;
+  }
+
+  const corrected = applyCalibration(activeCalibration && activeCalibration.transform, rawX, rawY);
+  // Blinks and off-screen gestures need the unclamped position and invalid samples
+  gazeGestures.process({ x: corrected.x, y: corrected.y, ts: point.ts, valid: point.valid });
+  const x = clamp01(corrected.x);
+  const y = clamp01(corrected.y);
+  const filtered = gazeFilter.process({
+    x: x * window.innerWidth,
+    y: y * window.innerHeight,
+    ts: point.ts,
+    valid: point.valid
+  });
+
+  if (!filtered) {
+    // Invalid or duplicated sample; only drop the dwell when tracking is really lost.
+    // In blink mode the hovered target must survive the blink that confirms it.
+    if (gazeFilter.isTrackingLost() && inputModeEl.value !== 'blink') endDwell();
+    return;
+  }
+
+  showCursor(filtered.x, filtered.y);
+
+  // During a saccade keep the current dwell until the next fixation lands
+  if (!filtered.fixation) return;
+
+  const target = targetIndex.findTarget(filtered.fixation.x, filtered.fixation.y, dwellTarget);
+  if (target) {
+    beginDwell(target.element, target.action);
+  } else {
+    endDwell();
   }
 }
 
 function parseGazeMessage(msg) {
   try {
     const j = JSON.parse(msg);
-    if (typeof j.x === 'number' && typeof j.y === 'number') return { x: j.x, y: j.y };
-    if (typeof j.xNorm === 'number' && typeof j.yNorm === 'number') return { xNorm: j.xNorm, yNorm: j.yNorm };
-    if (j.gaze && typeof j.gaze.x === 'number' && typeof j.gaze.y === 'number') return { x: j.gaze.x, y: j.gaze.y };
-    if (typeof j.lx === 'number' && typeof j.ly === 'number') return { x: j.lx, y: j.ly };
+    // Keep the bridge timestamp and validity flag so the filter can use them
+    const meta = { ts: typeof j.ts === 'number' ? j.ts : undefined, valid: j.valid !== false };
+    if (typeof j.x === 'number' && typeof j.y === 'number') return { x: j.x, y: j.y, ...meta };
+    if (typeof j.xNorm === 'number' && typeof j.yNorm === 'number') return { xNorm: j.xNorm, yNorm: j.yNorm, ...meta };
+    if (j.gaze && typeof j.gaze.x === 'number' && typeof j.gaze.y === 'number') return { x: j.gaze.x, y: j.gaze.y, ...meta };
+    if (typeof j.lx === 'number' && typeof j.ly === 'number') return { x: j.lx, y: j.ly, ...meta };
+    // Valid JSON but no usable coordinates (e.g. null during a blink)
+    if (j.valid === false) return { x: NaN, y: NaN, ...meta };
   } catch (_) {
     if (typeof msg === 'string' && msg.includes(',')) {
       const [sx, sy] = msg.split(',').map(Number);
@@ -630,7 +1436,160 @@ function parseGazeMessage(msg) {
 
 function clamp01(v) { return v < 0 ? 0 : v > 1 ? 1 : v; }
 
-connectBtn.addEventListener('click', connectWS);
+// --- Session recording and replay ---
+const sessionRecorder = createSessionRecorder({
+  getContext: () => ({
+    language: currentLanguage,
+    settings: {
+      dwellMs: currentDwellMs,
+      smoothness: currentSmooth,
+      inputMode: inputModeEl.value
+    },
+    calibration: activeCalibration,
+    layout: captureBoardLayout()
+  })
+});
+
+const sessionReplayer = createSessionReplayer({
+  onMessage: handleGazeMessage,
+  onStart: (session) => {
+    const { width, height } = session.viewport || {};
+    if (width !== window.innerWidth || height !== window.innerHeight) {
+      console.warn(`Replaying a ${width}x${height} session on a ${window.innerWidth}x${window.innerHeight} viewport; targets may not match`);
+    }
+    timeScale = Number(replaySpeedEl.value);
+    dryRun = true;
+    speechSynthesis.cancel();
+    cancelDwell();
+    refreshActiveInput();
+    gazeFilter.reset();
+    renderGazeStatus();
+    replayBtn.textContent = t('session.stopReplay');
+  },
+  onEnd: (completed) => {
+    console.log(completed ? 'Session replay finished' : 'Session replay stopped');
+    timeScale = 1;
+    dryRun = false;
+    cancelDwell();
+    refreshActiveInput();
+    renderGazeStatus();
+    replayBtn.textContent = t('session.replay');
+  }
+});
+
+// Rectangles of every dwell target, so a replay can be checked against the layout
+function captureBoardLayout() {
+  const rectOf = (el) => {
+    const r = el.getBoundingClientRect();
+    return { x: Math.round(r.left), y: Math.round(r.top), width: Math.round(r.width), height: Math.round(r.height) };
+  };
+  return {
+    cards: [...boardEl.querySelectorAll('.card')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    suggestions: [...suggestionsEl.querySelectorAll('.card')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    chips: [...chipsEl.querySelectorAll('.chip')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    phrases: [...phraseStripEl.querySelectorAll('.phrase-btn')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    keys: [...keyboardPanelEl.querySelectorAll('.key')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    candidates: [...candidatesEl.querySelectorAll('.candidate')].map(el => ({ key: el.dataset.key, rect: rectOf(el) })),
+    actions: visibleActionButtons().map(el => ({ id: el.id, rect: rectOf(el) }))
+  };
+}
+
+recordBtn.addEventListener('click', () => {
+  if (sessionRecorder.isRecording()) {
+    const session = sessionRecorder.stop();
+    console.log(`Session recorded: ${session.samples.length} samples in ${Math.round(session.durationMs)}ms`);
+    downloadSession(session);
+    recordBtn.textContent = t('session.record');
+    recordBtn.classList.remove('recording');
+  } else {
+    sessionRecorder.start();
+    recordBtn.textContent = t('session.stopRecording');
+    recordBtn.classList.add('recording');
+  }
+});
+
+replayBtn.addEventListener('click', () => {
+  if (sessionReplayer.isPlaying()) {
+    sessionReplayer.stop();
+  } else {
+    replayFileEl.click();
+  }
+});
+
+replayFileEl.addEventListener('change', async () => {
+  const file = replayFileEl.files[0];
+  replayFileEl.value = '';
+  if (!file) return;
+  try {
+    const session = parseSessionFile(await file.text());
+    sessionReplayer.play(session, Number(replaySpeedEl.value));
+  } catch (error) {
+    console.error('Could not replay session:', error.message);
+    updateAIStatus(t('session.invalidFile'));
+  }
+});
+
+// --- Calibration ---
+const calibrationSession = createCalibrationSession({
+  overlay: document.getElementById('calibrationOverlay'),
+  target: document.getElementById('calibrationTarget'),
+  message: document.getElementById('calibrationMessage'),
+  onComplete: (result) => {
+    gazeFilter.reset();
+    if (!result) {
+      renderCalibrationStatus(t('calibration.failed'));
+      return;
+    }
+    activeCalibration = result;
+    saveCalibration(profiles.activeId(), result);
+    console.log(`Calibration saved: ${result.points} points, ` +
+      (result.errorPx === null ? 'accuracy not measured' : `${Math.round(result.errorPx)}px leave-one-out error`));
+    renderCalibrationStatus();
+  },
+  onCancel: () => {
+    gazeFilter.reset();
+    renderCalibrationStatus();
+  }
+});
+
+function startCalibration() {
+  if (!gazeConnection.isLive()) {
+    renderCalibrationStatus(t('calibration.needsGaze'));
+    return;
+  }
+  cancelDwell();
+  calibrationSession.start(Number(calibrationPointsEl.value));
+}
+
+// Show the accuracy of the active calibration (or a one-off message)
+function renderCalibrationStatus(message) {
+  calibrationStatusEl.className = 'badge';
+  if (message) {
+    calibrationStatusEl.classList.add('err');
+    calibrationStatusEl.textContent = message;
+    return;
+  }
+  if (!activeCalibration) {
+    calibrationStatusEl.classList.add('warning');
+    calibrationStatusEl.textContent = t('calibration.notCalibrated');
+    return;
+  }
+  const rating = rateCalibration(activeCalibration);
+  if (!rating) {
+    calibrationStatusEl.classList.add('warning');
+    calibrationStatusEl.textContent = t('calibration.unrated');
+    return;
+  }
+  calibrationStatusEl.classList.add(rating === 'good' ? 'ok' : rating === 'fair' ? 'warning' : 'err');
+  calibrationStatusEl.textContent =
+    `${t('calibration.accuracy')} ${Math.round(activeCalibration.errorPx)}px · ${t(`calibration.${rating}`)}`;
+}
+
+calibrateBtn.addEventListener('click', startCalibration);
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') calibrationSession.cancel();
+});
+
 
 window.addEventListener('load', () => {
   // Ensure speech synthesis voices are loaded
@@ -648,23 +1607,168 @@ window.addEventListener('load', () => {
   // Application initialization moved to initializeApp() function
 });
 
+// Manual reconnect resets the backoff and connects immediately
+connectBtn.addEventListener('click', () => gazeConnection.reconnect());
+
 // Event listener for retry Azure button
 retryAzureBtn.addEventListener('click', () => {
   console.log('🔄 Retrying Azure Foundry connection...');
   checkAzureFoundryStatus(true);
 });
 
-connectBtn.addEventListener('click', connectWS);
+
+// --- User profiles ---
+// Control bar settings that belong to a profile, stored by element id
+const PROFILE_CONTROLS = [
+  cursorSize, cursorAlpha, smoothness, dwellTime, dwellGraceEl, targetToleranceEl,
+  inputModeEl, scanPatternEl, scanSpeedEl, blinkMinEl, blinkMaxEl, gazeGesturesEl,
+  maxPictogramsEl, speakSingleEl, chooseCandidatesEl, predictionEl, keyboardLayoutEl, calibrationPointsEl, replaySpeedEl
+];
+const profileSelectEl = document.getElementById('profileSelect');
+const deleteProfileBtn = document.getElementById('deleteProfile');
+const profileFileEl = document.getElementById('profileFile');
+
+function readControlSettings() {
+  const settings = {};
+  PROFILE_CONTROLS.forEach(el => {
+    settings[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return settings;
+}
+
+// Value written in index.html (not what the browser restored after a reload)
+function defaultControlValue(el) {
+  if (el.type === 'checkbox') return el.defaultChecked;
+  if (el.tagName === 'SELECT') {
+    const option = [...el.options].find(o => o.defaultSelected) || el.options[0];
+    return option.value;
+  }
+  return el.defaultValue;
+}
+
+// Settings missing from the profile get the index.html defaults
+function applyControlSettings(settings) {
+  PROFILE_CONTROLS.forEach(el => {
+    const value = settings[el.id] ?? defaultControlValue(el);
+    if (el.type === 'checkbox') {
+      el.checked = !!value;
+    } else {
+      el.value = value;
+    }
+  });
+  updateControls();
+  updateScanControls();
+}
+
+function renderProfiles() {
+  profileSelectEl.innerHTML = '';
+  profiles.list().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    profileSelectEl.appendChild(option);
+  });
+  profileSelectEl.value = profiles.activeId();
+  deleteProfileBtn.disabled = profiles.list().length <= 1;
+}
+
+// Apply the active profile: settings, language, calibration and board
+function applyProfile() {
+  const profile = profiles.active();
+  cancelDwell();
+  applyControlSettings(profile.settings || {});
+  const language = profile.language || detectLanguage();
+  if (language !== currentLanguage) applyLanguage(language);
+  activeCalibration = loadCalibration(profile.id);
+  gazeFilter.reset();
+  renderCalibrationStatus();
+  renderProfiles();
+  renderPhraseStrip();
+  renderSuggestions();
+  keyboard.refresh();
+  candidatePicker.hide();
+  // Another user: their conversation starts afresh
+  conversation.reset();
+  const boardUrl = profile.board || BOARD_URL;
+  if (boardUrl !== loadedBoardUrl) loadBoard(boardUrl);
+}
+
+PROFILE_CONTROLS.forEach(el => el.addEventListener('change', () => {
+  profiles.update({ settings: readControlSettings() });
+}));
+
+profileSelectEl.addEventListener('change', () => {
+  if (profiles.switchTo(profileSelectEl.value)) applyProfile();
+});
+
+document.getElementById('newProfile').addEventListener('click', () => {
+  const name = prompt(t('profile.namePrompt'));
+  if (!name || !name.trim()) return;
+  profiles.create(name, { settings: readControlSettings(), language: currentLanguage, board: loadedBoardUrl || BOARD_URL });
+  applyProfile();
+});
+
+deleteProfileBtn.addEventListener('click', () => {
+  const { id, name } = profiles.active();
+  if (!confirm(t('profile.confirmDelete').replace('{name}', name))) return;
+  if (!profiles.remove(id)) return;
+  saveCalibration(id, null);
+  predictor.reset(id);
+  phraseHistory.clear(id);
+  applyProfile();
+});
+
+document.getElementById('exportProfile').addEventListener('click', () => {
+  const data = profiles.exportProfile();
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `aac-profile-${profiles.activeId()}.json`);
+});
+
+document.getElementById('importProfile').addEventListener('click', () => profileFileEl.click());
+profileFileEl.addEventListener('change', async () => {
+  const file = profileFileEl.files[0];
+  profileFileEl.value = '';
+  if (!file) return;
+  try {
+    profiles.importProfile(parseProfileFile(await file.text()));
+    applyProfile();
+  } catch (error) {
+    console.error('Could not import profile:', error.message);
+    updateAIStatus(t('profile.invalidFile'));
+  }
+});
 
 // Language switcher functionality
+function applyLanguage(lang) {
+  setLanguage(lang);
+  updateLanguageButtons();
+  renderCalibrationStatus();
+  renderGazeStatus();
+  updateSessionButtons();
+  renderBoardNav();
+  renderChips();
+  renderPhraseStrip();
+  renderKeyboardButton();
+  keyboard.refresh();
+  candidatePicker.refresh();
+  renderConversation();
+  renderListenButton();
+  if (keyboard.isOpen()) loadKeyboardDictionary(currentLanguage);
+  loadPhraseRules(currentLanguage);
+  targetIndex.invalidate();
+}
+
 document.addEventListener('click', (e) => {
-  if (e.target.classList.contains('lang-btn')) {
-    const newLang = e.target.dataset.lang;
-    setLanguage(newLang);
-    updateLanguageButtons();
+  if (e.target.classList.contains('lang-btn') && e.target.dataset.lang) {
+    applyLanguage(e.target.dataset.lang);
+    profiles.update({ language: currentLanguage });
   }
 });
 
+function updateSessionButtons() {
+  recordBtn.textContent = t(sessionRecorder.isRecording() ? 'session.stopRecording' : 'session.record');
+  replayBtn.textContent = t(sessionReplayer.isPlaying() ? 'session.stopReplay' : 'session.replay');
+}
+
 function updateLanguageButtons() {
   document.querySelectorAll('.lang-btn').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.lang === currentLanguage);
@@ -679,14 +1783,35 @@ function initializeApp() {
   // Update language buttons
   updateLanguageButtons();
   
-  // Render board with translations
-  renderBoard();
+  // Apply the active user profile: settings, language, calibration and board
+  applyProfile();
+  
+  // Rules for local phrase generation (also loaded on language changes)
+  loadPhraseRules(currentLanguage);
   
   // Update dwell time display
   dwellDisplay.textContent = (currentDwellMs / 1000).toFixed(1) + 's';
   
   // Start Azure status monitoring
   startAzureStatusMonitoring();
+  
+  // Connect to the gaze bridge (reconnects automatically)
+  gazeConnection.connect();
+  
+  // Hear about alerts acknowledged by caregivers
+  connectAlertStream();
+  
+  // Cache the app for offline use
+  registerServiceWorker();
+}
+
+// The service worker (sw.js) keeps the app, boards and image packs cached so
+// the page opens without a network. It needs http://localhost or https.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.warn('Could not register service worker:', error.message);
+  });
 }
 
 // Initialize when DOM is ready
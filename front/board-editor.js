@@ -0,0 +1,342 @@
+// Caregiver board editor for AAC Pictos. Runs in a modal dialog that gaze and
+// scanning never reach (dwell only targets the board), and lets caregivers
+// add, edit, delete and reorder pictograms with labels and tags per language
+// and an emoji or uploaded image. Boards can also be imported from and
+// exported to Open Board Format (obf.js). Every change is handed to onChange().
+
+const EDITOR_IMAGE_MAX_PX = 256;   // Uploaded images are scaled down to this size
+
+// Pictogram key from a label: lowercase words joined with "_", unique in the set
+function makePictogramKey(label, pictograms) {
+  const base = label.trim().toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '') || 'picto';
+  let key = base;
+  for (let n = 2; pictograms[key]; n++) key = `${base}_${n}`;
+  return key;
+}
+
+// Read an uploaded image as a data URL, scaling raster images down
+function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => {
+      if (file.type === 'image/svg+xml') {
+        resolve(reader.result);
+        return;
+      }
+      const img = new Image();
+      img.onerror = () => reject(new Error('Unsupported image'));
+      img.onload = () => {
+        const scale = Math.min(1, EDITOR_IMAGE_MAX_PX / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function createBoardEditor({ dialog, languages, onChange, onReset }) {
+  const boardSelect = dialog.querySelector('#editorBoard');
+  const itemsEl = dialog.querySelector('#editorItems');
+  const form = dialog.querySelector('#editorForm');
+  const fieldsEl = dialog.querySelector('#editorFields');
+  const imageInput = dialog.querySelector('#editorImage');
+  const imagePreview = dialog.querySelector('#editorImagePreview');
+  const importInput = dialog.querySelector('#editorImportFile');
+  const reportEl = dialog.querySelector('#editorReport');
+
+  let boardSet = null;
+  let boardId = null;
+  let editingKey = null;     // null while adding a new pictogram
+  let pendingImage = null;   // data URL, '' to remove the image, null = unchanged
+
+  function commit() {
+    onChange(structuredClone(boardSet), boardId);
+    renderItems();
+  }
+
+  // Delete pictograms no board refers to any more
+  function pruneUnused() {
+    const used = new Set();
+    Object.values(boardSet.boards).forEach(board => {
+      board.items.forEach(item => { if (typeof item === 'string') used.add(item); });
+    });
+    Object.keys(boardSet.pictograms).forEach(key => {
+      if (!used.has(key)) delete boardSet.pictograms[key];
+    });
+  }
+
+  function renderBoardOptions() {
+    boardSelect.innerHTML = '';
+    Object.entries(boardSet.boards).forEach(([id, board]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = localize(board.title) || id;
+      boardSelect.appendChild(option);
+    });
+    boardSelect.value = boardId;
+  }
+
+  function renderItems() {
+    const items = boardSet.boards[boardId].items;
+    itemsEl.innerHTML = '';
+    items.forEach((item, index) => {
+      const isFolder = typeof item !== 'string';
+      const data = isFolder ? boardSet.boards[item.folder] : boardSet.pictograms[item];
+      const row = document.createElement('li');
+      row.className = 'editor-item';
+
+      const preview = data.image
+        ? Object.assign(document.createElement('img'), { src: data.image, alt: '' })
+        : Object.assign(document.createElement('span'), { textContent: data.emoji || (isFolder ? '📁' : '') });
+      preview.className = 'editor-preview';
+
+      const label = document.createElement('span');
+      label.className = 'editor-label';
+      label.textContent = isFolder
+        ? `${t('editor.folder')}: ${localize(data.title)}`
+        : `${localize(data.label)} (${item})`;
+
+      row.append(preview, label);
+      const button = (text, handler, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.disabled = disabled;
+        btn.addEventListener('click', handler);
+        row.appendChild(btn);
+      };
+      button('↑', () => moveItem(index, -1), index === 0);
+      button('↓', () => moveItem(index, 1), index === items.length - 1);
+      if (!isFolder) button(t('editor.edit'), () => openForm(item));
+      button(t('editor.delete'), () => deleteItem(index));
+      itemsEl.appendChild(row);
+    });
+  }
+
+  function moveItem(index, delta) {
+    const items = boardSet.boards[boardId].items;
+    const [item] = items.splice(index, 1);
+    items.splice(index + delta, 0, item);
+    commit();
+  }
+
+  function deleteItem(index) {
+    const items = boardSet.boards[boardId].items;
+    const item = items[index];
+    const name = typeof item === 'string' ? localize(boardSet.pictograms[item].label) : localize(boardSet.boards[item.folder].title);
+    if (!confirm(t('editor.confirmDelete').replace('{name}', name))) return;
+    items.splice(index, 1);
+    pruneUnused();
+    commit();
+  }
+
+  // Per-language label and tag inputs
+  function renderFields(picto) {
+    fieldsEl.innerHTML = '';
+    languages.forEach(lang => {
+      const labelInput = Object.assign(document.createElement('input'), {
+        name: `label-${lang}`,
+        value: (picto && picto.label && picto.label[lang]) || '',
+        required: lang === languages[0]
+      });
+      const tagsInput = Object.assign(document.createElement('input'), {
+        name: `tags-${lang}`,
+        value: ((picto && picto.tags && picto.tags[lang]) || []).join(', ')
+      });
+      const labelField = document.createElement('label');
+      labelField.append(`${t('editor.label')} (${lang}) `, labelInput);
+      const tagsField = document.createElement('label');
+      tagsField.append(`${t('editor.tags')} (${lang}) `, tagsInput);
+      fieldsEl.append(labelField, tagsField);
+    });
+  }
+
+  function showImagePreview(src) {
+    imagePreview.hidden = !src;
+    imagePreview.src = src || '';
+  }
+
+  function openForm(key) {
+    editingKey = key;
+    pendingImage = null;
+    const picto = key ? boardSet.pictograms[key] : null;
+    renderFields(picto);
+    form.elements.emoji.value = (picto && picto.emoji) || '';
+    imageInput.value = '';
+    showImagePreview(picto && picto.image);
+    form.hidden = false;
+    form.querySelector('input').focus();
+  }
+
+  function closeForm() {
+    form.hidden = true;
+    editingKey = null;
+  }
+
+  function savePictogram() {
+    const label = {};
+    const tags = {};
+    languages.forEach(lang => {
+      const text = form.elements[`label-${lang}`].value.trim();
+      if (text) label[lang] = text;
+      tags[lang] = form.elements[`tags-${lang}`].value.split(',').map(tag => tag.trim()).filter(Boolean);
+    });
+
+    const key = editingKey || makePictogramKey(label[languages[0]], boardSet.pictograms);
+    const picto = { ...(boardSet.pictograms[key] || {}), label, tags, emoji: form.elements.emoji.value.trim() };
+    if (pendingImage !== null) {
+      if (pendingImage) {
+        picto.image = pendingImage;
+      } else {
+        delete picto.image;
+      }
+    }
+    boardSet.pictograms[key] = picto;
+    if (!editingKey) boardSet.boards[boardId].items.push(key);
+
+    closeForm();
+    commit();
+  }
+
+  // Summary of an import, with one line per kind of OBF feature that was dropped
+  function showImportReport(warnings) {
+    reportEl.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.textContent = t('editor.importDone')
+      .replace('{boards}', Object.keys(boardSet.boards).length)
+      .replace('{pictograms}', Object.keys(boardSet.pictograms).length);
+    reportEl.appendChild(summary);
+
+    const counts = new Map();
+    warnings.forEach(({ code }) => counts.set(code, (counts.get(code) || 0) + 1));
+    if (counts.size > 0) {
+      const intro = document.createElement('p');
+      intro.textContent = t('editor.importUnsupported');
+      const list = document.createElement('ul');
+      counts.forEach((count, code) => {
+        const line = document.createElement('li');
+        line.textContent = t(`editor.obfWarnings.${code}`).replace('{count}', count);
+        list.appendChild(line);
+      });
+      reportEl.append(intro, list);
+    }
+    reportEl.hidden = false;
+  }
+
+  function showImportError(error) {
+    console.error('Could not import board:', error.message);
+    reportEl.textContent = t('editor.importError').replace('{error}', error.message);
+    reportEl.hidden = false;
+  }
+
+  async function importBoard(file) {
+    if (!confirm(t('editor.confirmImport'))) return;
+    try {
+      const { boardSet: imported, warnings } = await importOpenBoard(file, { id: boardSet.id, language: currentLanguage });
+      boardSet = imported;
+      boardId = imported.root;
+      closeForm();
+      renderBoardOptions();
+      commit();
+      showImportReport(warnings);
+      if (warnings.length) console.warn('OBF features not imported:', warnings);
+    } catch (error) {
+      showImportError(error);
+    }
+  }
+
+  boardSelect.addEventListener('change', () => {
+    boardId = boardSelect.value;
+    closeForm();
+    renderItems();
+  });
+  dialog.querySelector('#editorAdd').addEventListener('click', () => openForm(null));
+  dialog.querySelector('#editorCancel').addEventListener('click', closeForm);
+  dialog.querySelector('#editorRemoveImage').addEventListener('click', () => {
+    pendingImage = '';
+    imageInput.value = '';
+    showImagePreview(null);
+  });
+  imageInput.addEventListener('change', async () => {
+    const file = imageInput.files[0];
+    if (!file) return;
+    try {
+      pendingImage = await readImageFile(file);
+      showImagePreview(pendingImage);
+    } catch (error) {
+      console.error('Could not read image:', error.message);
+      alert(t('editor.imageError'));
+    }
+  });
+  dialog.querySelector('#editorImport').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) await importBoard(file);
+  });
+  // Exports fetch the boards' images first
+  async function exportBoard(build, filename) {
+    try {
+      downloadBlob(await build(), filename);
+    } catch (error) {
+      console.error('Could not export board:', error.message);
+      alert(t('editor.exportError'));
+    }
+  }
+
+  dialog.querySelector('#editorExportObz').addEventListener('click', () => {
+    exportBoard(() => exportOpenBoardPackage(boardSet, { language: currentLanguage }), `${boardSet.id}.obz`);
+  });
+  dialog.querySelector('#editorExportObf').addEventListener('click', () => {
+    exportBoard(() => exportOpenBoard(boardSet, boardId, { language: currentLanguage }), `${boardId}.obf`);
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    savePictogram();
+  });
+  dialog.querySelector('#editorReset').addEventListener('click', async () => {
+    if (!confirm(t('editor.confirmReset'))) return;
+    closeForm();
+    dialog.close();
+    await onReset();
+  });
+  dialog.querySelector('#editorClose').addEventListener('click', () => dialog.close());
+  dialog.addEventListener('close', closeForm);
+
+  return {
+    open(currentBoardSet, currentBoardId) {
+      boardSet = structuredClone(currentBoardSet);
+      boardId = currentBoardId;
+      renderBoardOptions();
+      renderItems();
+      closeForm();
+      reportEl.hidden = true;
+      dialog.showModal();
+    },
+    isOpen: () => dialog.open
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { makePictogramKey, createBoardEditor };
+}
@@ -0,0 +1,55 @@
+// Browser persistence for edited boards (IndexedDB). Each board set is stored
+// under its id and replaces the bundled board file with the same id.
+
+const BOARD_DB_NAME = 'aac-pictos';
+const BOARD_DB_VERSION = 1;
+const BOARD_STORE = 'boards';
+
+let boardDbPromise = null;
+
+function openBoardDb() {
+  if (!boardDbPromise) {
+    boardDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(BOARD_DB_NAME, BOARD_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(BOARD_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return boardDbPromise;
+}
+
+// Run one request in its own transaction and resolve with its result
+async function boardStoreRequest(mode, makeRequest) {
+  const db = await openBoardDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(BOARD_STORE, mode);
+    const request = makeRequest(tx.objectStore(BOARD_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function getStoredBoardSet(id) {
+  const record = await boardStoreRequest('readonly', store => store.get(id));
+  return record ? record.boardSet : null;
+}
+
+function storeBoardSet(boardSet) {
+  return boardStoreRequest('readwrite', store => store.put({
+    id: boardSet.id,
+    boardSet,
+    savedAt: new Date().toISOString()
+  }));
+}
+
+function deleteStoredBoardSet(id) {
+  return boardStoreRequest('readwrite', store => store.delete(id));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getStoredBoardSet, storeBoardSet, deleteStoredBoardSet };
+}
@@ -0,0 +1,120 @@
+// Data-driven boards for AAC Pictos. A board file defines every pictogram once
+// (labels and tags per language) and a set of boards that reference them by
+// key. Boards can contain folder items that open sub-boards, and are split
+// into pages when they have more items than their page size.
+
+const BOARD_DEFAULT_PAGE_SIZE = 12;
+const FOLDER_KEY_PREFIX = 'folder:';
+
+// Check the structure and drop references to unknown pictograms / boards
+function validateBoardSet(data) {
+  if (!data || typeof data.pictograms !== 'object' || typeof data.boards !== 'object') {
+    throw new Error('Invalid board file: "pictograms" and "boards" are required');
+  }
+  const root = data.root || Object.keys(data.boards)[0];
+  if (!data.boards[root]) {
+    throw new Error(`Invalid board file: root board "${root}" does not exist`);
+  }
+
+  const boards = {};
+  Object.entries(data.boards).forEach(([id, board]) => {
+    const items = (board.items || []).filter(item => {
+      const known = typeof item === 'string'
+        ? !!data.pictograms[item]
+        : !!(item && data.boards[item.folder]);
+      if (!known) console.warn(`Board "${id}": skipping unknown item`, item);
+      return known;
+    });
+    boards[id] = { ...board, items };
+  });
+
+  return { ...data, root, boards };
+}
+
+async function loadBoardSet(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} loading ${url}`);
+  }
+  return validateBoardSet(await res.json());
+}
+
+// Keeps the navigation history (board + page) over a board set
+function createBoardNavigator(boardSet) {
+  let stack = [{ board: boardSet.root, page: 0 }];
+
+  const current = () => stack[stack.length - 1];
+  const currentBoard = () => boardSet.boards[current().board];
+  const pageSize = () => currentBoard().pageSize || BOARD_DEFAULT_PAGE_SIZE;
+
+  // Turn a board item (pictogram key or { folder }) into a renderable entry
+  function resolveItem(item) {
+    if (typeof item === 'string') {
+      return { type: 'pictogram', key: item, ...boardSet.pictograms[item] };
+    }
+    const target = boardSet.boards[item.folder];
+    return {
+      type: 'folder',
+      key: FOLDER_KEY_PREFIX + item.folder,
+      board: item.folder,
+      label: item.label || target.title,
+      emoji: item.emoji || target.emoji || '📁',
+      image: item.image || target.image,
+      count: target.items.length
+    };
+  }
+
+  function pageCount() {
+    return Math.max(1, Math.ceil(currentBoard().items.length / pageSize()));
+  }
+
+  return {
+    board: currentBoard,
+    boardId: () => current().board,
+    page: () => current().page,
+    pageCount,
+    pageItems() {
+      const start = current().page * pageSize();
+      return currentBoard().items.slice(start, start + pageSize()).map(resolveItem);
+    },
+    // Pictogram or folder entry by card key, wherever it appears
+    find(key) {
+      if (key.startsWith(FOLDER_KEY_PREFIX)) {
+        const id = key.slice(FOLDER_KEY_PREFIX.length);
+        return boardSet.boards[id] ? resolveItem({ folder: id }) : null;
+      }
+      return boardSet.pictograms[key] ? resolveItem(key) : null;
+    },
+    open(boardId) {
+      if (!boardSet.boards[boardId]) return false;
+      stack.push({ board: boardId, page: 0 });
+      return true;
+    },
+    back() {
+      if (stack.length <= 1) return false;
+      stack.pop();
+      return true;
+    },
+    home() {
+      stack = [{ board: boardSet.root, page: 0 }];
+      return true;
+    },
+    nextPage() {
+      if (current().page >= pageCount() - 1) return false;
+      current().page++;
+      return true;
+    },
+    prevPage() {
+      if (current().page <= 0) return false;
+      current().page--;
+      return true;
+    },
+    isHome: () => stack.length === 1,
+    boardSet: () => boardSet
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BOARD_DEFAULT_PAGE_SIZE, FOLDER_KEY_PREFIX, validateBoardSet, loadBoardSet, createBoardNavigator };
+}
@@ -0,0 +1,254 @@
+// In-app gaze calibration for AAC Pictos: shows a sequence of targets, records
+// gaze samples for each one and fits an affine correction (in normalized
+// viewport coordinates) that is applied to every incoming gaze point.
+
+const CALIBRATION_STORAGE_KEY = 'aac-pictos.calibration';
+const CALIBRATION_SETTLE_MS = 700;     // Time to move the eyes to a new target
+const CALIBRATION_COLLECT_MS = 1300;   // Time recording samples per target
+const CALIBRATION_MIN_SAMPLES = 8;     // Fewer samples than this = target skipped
+const CALIBRATION_ACCURACY_PX = { good: 30, fair: 60 };
+const CALIBRATION_MIN_RATED_POINTS = 4;   // More than the 3 parameters per axis of the fit
+const CALIBRATION_VALIDATION = 'leave-one-out';
+
+// Target positions as fractions of the viewport
+function calibrationTargets(count) {
+  const edges = [0.1, 0.5, 0.9];
+  if (count === 9) {
+    const points = [];
+    edges.forEach(y => edges.forEach(x => points.push({ x, y })));
+    return points;
+  }
+  return [
+    { x: 0.5, y: 0.5 },
+    { x: 0.1, y: 0.1 },
+    { x: 0.9, y: 0.1 },
+    { x: 0.9, y: 0.9 },
+    { x: 0.1, y: 0.9 }
+  ];
+}
+
+const IDENTITY_TRANSFORM = { a: 1, b: 0, c: 0, d: 0, e: 1, f: 0 };
+
+function median(values) {
+  const sorted = [...values].sort((p, q) => p - q);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function det3(m) {
+  return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+         m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+         m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+// Solve the 3x3 system m * v = rhs with Cramer's rule
+function solve3(m, rhs) {
+  const d = det3(m);
+  if (Math.abs(d) < 1e-9) return null;
+  return [0, 1, 2].map(col => {
+    const replaced = m.map((row, i) => row.map((v, j) => (j === col ? rhs[i] : v)));
+    return det3(replaced) / d;
+  });
+}
+
+// Least-squares affine fit: target = [a b c; d e f] * [gx gy 1].
+// Falls back to a pure offset when the points do not span the screen.
+function fitCalibrationTransform(pairs) {
+  if (!pairs.length) return { ...IDENTITY_TRANSFORM };
+
+  const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rx = [0, 0, 0];
+  const ry = [0, 0, 0];
+  pairs.forEach(({ gaze, target }) => {
+    const v = [gaze.x, gaze.y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) m[i][j] += v[i] * v[j];
+      rx[i] += v[i] * target.x;
+      ry[i] += v[i] * target.y;
+    }
+  });
+
+  const sx = pairs.length >= 3 ? solve3(m, rx) : null;
+  const sy = pairs.length >= 3 ? solve3(m, ry) : null;
+  if (sx && sy) {
+    return { a: sx[0], b: sx[1], c: sx[2], d: sy[0], e: sy[1], f: sy[2] };
+  }
+
+  const offsetX = pairs.reduce((sum, p) => sum + p.target.x - p.gaze.x, 0) / pairs.length;
+  const offsetY = pairs.reduce((sum, p) => sum + p.target.y - p.gaze.y, 0) / pairs.length;
+  return { ...IDENTITY_TRANSFORM, c: offsetX, f: offsetY };
+}
+
+function applyCalibration(transform, x, y) {
+  if (!transform) return { x, y };
+  return {
+    x: transform.a * x + transform.b * y + transform.c,
+    y: transform.d * x + transform.e * y + transform.f
+  };
+}
+
+// Mean distance in pixels between corrected gaze and targets
+function calibrationError(transform, pairs, width, height) {
+  if (!pairs.length) return Infinity;
+  const total = pairs.reduce((sum, { gaze, target }) => {
+    const corrected = applyCalibration(transform, gaze.x, gaze.y);
+    return sum + Math.hypot((corrected.x - target.x) * width, (corrected.y - target.y) * height);
+  }, 0);
+  return total / pairs.length;
+}
+
+// Leave-one-out error in pixels: each point is predicted by the transform
+// fitted to the other points. The error on the fitted points themselves says
+// nothing (three points are always fitted exactly). null with fewer than
+// CALIBRATION_MIN_RATED_POINTS points.
+function validationError(pairs, width, height) {
+  if (pairs.length < CALIBRATION_MIN_RATED_POINTS) return null;
+  const total = pairs.reduce((sum, pair, i) => {
+    const transform = fitCalibrationTransform(pairs.filter((other, j) => j !== i));
+    return sum + calibrationError(transform, [pair], width, height);
+  }, 0);
+  return total / pairs.length;
+}
+
+// Rating of a stored calibration, or null when its accuracy was not measured
+// (too few points, or saved before validation was added)
+function rateCalibration(calibration) {
+  const errorPx = calibration && calibration.validation === CALIBRATION_VALIDATION ? calibration.errorPx : null;
+  if (!Number.isFinite(errorPx)) return null;
+  if (errorPx <= CALIBRATION_ACCURACY_PX.good) return 'good';
+  if (errorPx <= CALIBRATION_ACCURACY_PX.fair) return 'fair';
+  return 'poor';
+}
+
+// Calibrations are stored per user: { [userId]: { transform, errorPx, points, date } }
+function readCalibrationStore() {
+  try {
+    return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function loadCalibration(userId) {
+  return readCalibrationStore()[userId] || null;
+}
+
+function saveCalibration(userId, calibration) {
+  const store = readCalibrationStore();
+  if (calibration) {
+    store[userId] = calibration;
+  } else {
+    delete store[userId];
+  }
+  localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(store));
+}
+
+// Runs the calibration sequence on the overlay. Gaze samples (uncorrected,
+// normalized) are fed through addSample(); onComplete receives the new
+// calibration or null when too few targets got enough samples.
+function createCalibrationSession({ overlay, target, message, onComplete, onCancel }) {
+  let points = [];
+  let pairs = [];
+  let samples = [];
+  let index = -1;
+  let timer = null;
+  let running = false;
+  let collecting = false;
+
+  function showInstructions() {
+    message.textContent = t('calibration.instructions')
+      .replace('{current}', index + 1)
+      .replace('{total}', points.length);
+  }
+
+  function nextTarget() {
+    index++;
+    if (index >= points.length) {
+      finish();
+      return;
+    }
+    const point = points[index];
+    target.style.left = (point.x * 100) + '%';
+    target.style.top = (point.y * 100) + '%';
+    target.classList.remove('collecting');
+    samples = [];
+    collecting = false;
+    showInstructions();
+
+    timer = setTimeout(() => {
+      collecting = true;
+      target.style.animationDuration = CALIBRATION_COLLECT_MS + 'ms';
+      target.classList.add('collecting');
+      timer = setTimeout(endTarget, CALIBRATION_COLLECT_MS);
+    }, CALIBRATION_SETTLE_MS);
+  }
+
+  function endTarget() {
+    collecting = false;
+    if (samples.length >= CALIBRATION_MIN_SAMPLES) {
+      pairs.push({
+        gaze: { x: median(samples.map(s => s.x)), y: median(samples.map(s => s.y)) },
+        target: points[index]
+      });
+    }
+    nextTarget();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    running = false;
+    collecting = false;
+    overlay.hidden = true;
+  }
+
+  function finish() {
+    stop();
+    if (pairs.length < 3) {
+      onComplete(null);
+      return;
+    }
+    onComplete({
+      transform: fitCalibrationTransform(pairs),
+      errorPx: validationError(pairs, window.innerWidth, window.innerHeight),
+      validation: CALIBRATION_VALIDATION,
+      points: pairs.length,
+      date: new Date().toISOString()
+    });
+  }
+
+  return {
+    start(count) {
+      points = calibrationTargets(count);
+      pairs = [];
+      index = -1;
+      running = true;
+      overlay.hidden = false;
+      nextTarget();
+    },
+    addSample(x, y) {
+      if (collecting && Number.isFinite(x) && Number.isFinite(y)) samples.push({ x, y });
+    },
+    cancel() {
+      if (!running) return;
+      stop();
+      if (onCancel) onCancel();
+    },
+    isRunning: () => running
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calibrationTargets,
+    fitCalibrationTransform,
+    applyCalibration,
+    calibrationError,
+    validationError,
+    rateCalibration,
+    loadCalibration,
+    saveCalibration,
+    createCalibrationSession
+  };
+}
@@ -0,0 +1,131 @@
+// Phrase candidates for AAC Pictos. The same pictograms can mean different
+// things ("Tú + Agua" is a request or a question), so the AI offers a few
+// readings ranked by likelihood. They replace the board as large dwell targets
+// and only the one the user chooses is spoken; "none of these" goes back to the
+// board with the message kept.
+
+const CANDIDATE_KEY_PREFIX = 'cand:';   // Picker targets: 'cand:<index>' and 'cand:none'
+const CANDIDATE_NONE = 'none';
+const PHRASE_CANDIDATES = 3;            // Readings asked from the proxy
+const CANDIDATE_TIMEOUT_MS = 10000;
+
+// Emoji shown for each kind of candidate
+const CANDIDATE_KINDS = { statement: '💬', question: '❓', request: '🙏' };
+
+// POSTs a phrase request asking for `count` candidates and resolves with the
+// proxy's reply; `candidates` is always a non-empty list of { phrase, kind }
+// (older proxies only send `phrase`). Aborting `signal` cancels the request.
+async function fetchCandidates(url, body, { count = PHRASE_CANDIDATES, signal, timeoutMs = CANDIDATE_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  let timedOut = false;
+  const timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, candidates: count }),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(`HTTP ${res.status}: ${errorData.error || 'Proxy error'}`);
+    }
+    const data = await res.json();
+    const candidates = (Array.isArray(data.candidates) ? data.candidates : [{ phrase: data.phrase }])
+      .filter(candidate => candidate && typeof candidate.phrase === 'string' && candidate.phrase.trim());
+    if (!candidates.length) throw new Error('Respuesta vacía del proxy');
+    return { ...data, candidates };
+  } catch (error) {
+    if (timedOut) {
+      const timeout = new Error(`No reply from the proxy in ${timeoutMs / 1000}s`);
+      timeout.name = 'TimeoutError';
+      throw timeout;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// `setupTarget(el, key)` makes a button a dwell target; `onChoose(candidate)`
+// runs with the chosen { phrase, kind }, `onNone()` when none fits and
+// `onChange()` after the picker opens or closes.
+function createCandidatePicker({ container, setupTarget, onChoose, onNone, onChange }) {
+  let candidates = [];
+
+  function targetButton(name, emoji, text, className) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `candidate ${className}`;
+    btn.dataset.key = CANDIDATE_KEY_PREFIX + name;
+    btn.innerHTML = '<div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>';
+    const emojiEl = document.createElement('span');
+    emojiEl.className = 'candidate-kind';
+    emojiEl.setAttribute('aria-hidden', 'true');
+    emojiEl.textContent = emoji;
+    const textEl = document.createElement('span');
+    textEl.className = 'candidate-text';
+    textEl.textContent = text;
+    btn.append(emojiEl, textEl);
+    setupTarget(btn, btn.dataset.key);
+    return btn;
+  }
+
+  function render() {
+    container.innerHTML = '';
+    const prompt = document.createElement('p');
+    prompt.className = 'candidates-prompt';
+    prompt.textContent = t('candidates.prompt');
+    container.appendChild(prompt);
+    candidates.forEach((candidate, i) => {
+      const btn = targetButton(String(i), CANDIDATE_KINDS[candidate.kind] || CANDIDATE_KINDS.statement, candidate.phrase, candidate.kind || 'statement');
+      btn.setAttribute('aria-label', `${t(`candidates.kinds.${candidate.kind || 'statement'}`)}: ${candidate.phrase}`);
+      container.appendChild(btn);
+    });
+    container.appendChild(targetButton(CANDIDATE_NONE, '↩️', t('candidates.none'), 'none'));
+  }
+
+  function hide() {
+    if (container.hidden) return;
+    container.hidden = true;
+    container.innerHTML = '';
+    candidates = [];
+    onChange();
+  }
+
+  return {
+    show(list) {
+      candidates = list;
+      container.hidden = false;
+      render();
+      onChange();
+    },
+    hide,
+    isOpen: () => !container.hidden,
+    // Redraw for a new language
+    refresh() {
+      if (!container.hidden) render();
+    },
+    // A picker target was selected ('<index>' or 'none')
+    choose(name) {
+      if (name === CANDIDATE_NONE) {
+        hide();
+        onNone();
+        return;
+      }
+      const candidate = candidates[Number(name)];
+      if (!candidate) return;
+      hide();
+      onChoose(candidate);
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CANDIDATE_KEY_PREFIX, PHRASE_CANDIDATES, fetchCandidates, createCandidatePicker };
+}
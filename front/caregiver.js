@@ -0,0 +1,116 @@
+// Caregiver page for AAC Pictos. Listens to the backend proxy for urgent
+// alerts raised on the user's page, sounds the alarm and flashes until each
+// alert is acknowledged here or on the user's page. Open it on any device that
+// can reach the proxy; `?proxy=http://host:3002` points it at another machine.
+
+const CAREGIVER_PROXY = new URLSearchParams(location.search).get('proxy') || 'http://localhost:3002';
+const CAREGIVER_ALERTS_ENDPOINT = `${CAREGIVER_PROXY}/api/alerts`;
+
+const alertListEl = document.getElementById('alertList');
+const noAlertsEl = document.getElementById('noAlerts');
+const caregiverStatusEl = document.getElementById('caregiverStatus');
+const enableSoundBtn = document.getElementById('enableSound');
+
+const caregiverAlarm = createAlarm();
+const pendingAlerts = new Map();   // id -> alert
+let soundEnabled = false;
+let connectionStatus = ['caregiver.connecting', 'badge'];
+
+function setStatus(key, className) {
+  connectionStatus = [key, className];
+  caregiverStatusEl.textContent = t(key);
+  caregiverStatusEl.className = className;
+}
+
+function translatePage() {
+  document.documentElement.lang = currentLanguage;
+  document.title = t('caregiver.title');
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  setStatus(...connectionStatus);
+}
+
+function renderAlerts() {
+  alertListEl.innerHTML = '';
+  pendingAlerts.forEach(alert => {
+    const li = document.createElement('li');
+    li.className = `caregiver-alert ${alert.level}`;
+    const phrase = document.createElement('strong');
+    phrase.textContent = alert.phrase;
+    const meta = document.createElement('small');
+    meta.textContent = [alert.user, new Date(alert.raisedAt).toLocaleTimeString(currentLanguage)].filter(Boolean).join(' · ');
+    const ack = document.createElement('button');
+    ack.type = 'button';
+    ack.textContent = t('alert.ack');
+    ack.addEventListener('click', () => acknowledge(alert.id));
+    li.append(phrase, meta, ack);
+    alertListEl.appendChild(li);
+  });
+  noAlertsEl.hidden = pendingAlerts.size > 0;
+
+  const urgent = [...pendingAlerts.values()].some(alert => URGENCY_LEVELS[alert.level]?.alarm);
+  document.body.classList.toggle('flash', urgent);
+  if (urgent && soundEnabled) caregiverAlarm.start();
+  else caregiverAlarm.stop();
+}
+
+async function acknowledge(id) {
+  try {
+    const res = await fetch(`${CAREGIVER_ALERTS_ENDPOINT}/${encodeURIComponent(id)}/ack`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ by: t('caregiver.by') })
+    });
+    // 404: already acknowledged somewhere else
+    if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+    pendingAlerts.delete(id);
+    renderAlerts();
+  } catch (error) {
+    console.error('Could not acknowledge alert:', error.message);
+    setStatus('caregiver.ackFailed', 'badge err');
+  }
+}
+
+function connect() {
+  if (typeof EventSource === 'undefined') {
+    setStatus('caregiver.unsupported', 'badge err');
+    return;
+  }
+  const stream = new EventSource(`${CAREGIVER_ALERTS_ENDPOINT}/stream?role=caregiver`);
+  stream.onopen = () => {
+    setStatus('caregiver.connected', 'badge ok');
+  };
+  // EventSource reconnects by itself; the proxy replays pending alerts
+  stream.onerror = () => {
+    setStatus('caregiver.disconnected', 'badge err');
+  };
+  stream.addEventListener('alert', (e) => {
+    const alert = JSON.parse(e.data);
+    pendingAlerts.set(alert.id, alert);
+    renderAlerts();
+  });
+  stream.addEventListener('ack', (e) => {
+    pendingAlerts.delete(JSON.parse(e.data).id);
+    renderAlerts();
+  });
+}
+
+// Browsers only play sound after a click on the page
+enableSoundBtn.addEventListener('click', () => {
+  soundEnabled = true;
+  enableSoundBtn.hidden = true;
+  renderAlerts();
+});
+
+document.querySelectorAll('[data-lang]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    currentLanguage = btn.dataset.lang;
+    translatePage();
+    renderAlerts();
+  });
+});
+
+translatePage();
+renderAlerts();
+connect();
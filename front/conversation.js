@@ -0,0 +1,129 @@
+// Conversation sessions for AAC Pictos. What the caregiver says (typed, or
+// transcribed from the microphone) and the phrases the user says are sent to
+// the proxy's conversation session, which adds the last turns to the prompt
+// so the next phrase fits the dialogue. The session is started on the first
+// turn and started again if the proxy has let it expire.
+
+const CONVERSATION_SHOWN_TURNS = 4;   // Turns listed under the output
+const CONVERSATION_TIMEOUT_MS = 5000;
+
+// `endpoint` is the proxy's /api/conversations, `getUserId()` the active
+// profile and `onChange(turns)` runs when the turns shown change
+function createConversation({ endpoint, getUserId, onChange = () => {} }) {
+  let sessionId = null;
+  let turns = [];
+
+  async function request(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      signal: AbortSignal.timeout(CONVERSATION_TIMEOUT_MS)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const error = new Error(`HTTP ${res.status}: ${data.error || 'Proxy error'}`);
+      error.status = res.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async function start() {
+    const { session } = await request(endpoint, {
+      method: 'POST',
+      body: JSON.stringify({ userId: getUserId() })
+    });
+    sessionId = session.id;
+    turns = session.turns;
+  }
+
+  function post(turn) {
+    return request(`${endpoint}/${encodeURIComponent(sessionId)}/turns`, {
+      method: 'POST',
+      body: JSON.stringify(turn)
+    });
+  }
+
+  function shownTurns() {
+    return turns.slice(-CONVERSATION_SHOWN_TURNS);
+  }
+
+  async function record(turn) {
+    if (!sessionId) await start();
+    let data;
+    try {
+      data = await post(turn);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // Expired on the proxy: a new conversation begins
+      await start();
+      data = await post(turn);
+    }
+    turns = data.session.turns;
+    onChange(shownTurns());
+  }
+
+  // Turns are sent one after another, so they keep their order and share the
+  // session the first one starts
+  let sending = Promise.resolve();
+
+  return {
+    // Id to send with phrase requests (null before the first turn)
+    sessionId: () => sessionId,
+    turns: shownTurns,
+    // Records a turn; resolves false when the proxy cannot be reached
+    addTurn(role, text, source) {
+      const result = sending.then(() => record({ role, text, source })).then(() => true, (error) => {
+        console.warn('Could not record conversation turn:', error.message);
+        return false;
+      });
+      sending = result;
+      return result;
+    },
+    // Ends the conversation (e.g. another user, or a new topic)
+    reset() {
+      if (!sessionId) return;
+      const id = sessionId;
+      sessionId = null;
+      turns = [];
+      onChange([]);
+      request(`${endpoint}/${encodeURIComponent(id)}`, { method: 'DELETE' }).catch(() => {});
+    }
+  };
+}
+
+// Speech recognition for caregiver turns, or null when the browser has none.
+// `onText(text)` gets each final transcript; `onEnd()` runs when it stops.
+function createTurnListener({ getLanguage, onText, onEnd = () => {} }) {
+  const Recognition = typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+  if (!Recognition) return null;
+  let recognition = null;
+
+  return {
+    isListening: () => recognition !== null,
+    start() {
+      if (recognition) return;
+      recognition = new Recognition();
+      recognition.lang = getLanguage() === 'en' ? 'en-US' : 'es-ES';
+      recognition.interimResults = false;
+      recognition.addEventListener('result', (e) => {
+        const result = e.results[e.results.length - 1];
+        if (result.isFinal && result[0].transcript.trim()) onText(result[0].transcript.trim());
+      });
+      recognition.addEventListener('error', (e) => console.warn('Speech recognition error:', e.error));
+      recognition.addEventListener('end', () => {
+        recognition = null;
+        onEnd();
+      });
+      recognition.start();
+    },
+    stop() {
+      if (recognition) recognition.stop();
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONVERSATION_SHOWN_TURNS, createConversation, createTurnListener };
+}
@@ -0,0 +1,138 @@
+// Dwell state machine for AAC Pictos. Progress is accumulated per target on
+// every animation frame (delta time, so it stays accurate when frames are
+// late), decays gradually while gaze is briefly off a target within a grace
+// period, and each selection is followed by a refractory lockout shown as a
+// cooldown on the dwell ring. The selected target cannot dwell again until
+// gaze has left it, so staring at a card does not repeat it.
+
+const DWELL_DEFAULTS = {
+  graceMs: 600,       // Time a target keeps (decaying) progress after gaze leaves it
+  decayRate: 1,       // Progress lost per ms off target (1 = as fast as it is gained)
+  lockoutMs: 1000,    // Refractory period after a selection
+  maxFrameMs: 100     // Clamp for long frames (background tab, debugger)
+};
+
+// getDwellMs(element, key) returns the dwell time for a target,
+// onSelect(key, element) is called when a dwell completes,
+// getTimeScale() speeds the clock up (accelerated session replay).
+function createDwellController({ getDwellMs, onSelect, getTimeScale = () => 1, ...options }) {
+  const config = { ...DWELL_DEFAULTS, ...options };
+  const progress = new Map();   // element -> { key, ms, idleMs }
+  let active = null;
+  let autoSelect = true;
+  let lockoutLeft = 0;
+  let lockoutElement = null;
+  let held = null;   // { element, key } just selected, until gaze leaves it
+  let lastFrame = performance.now();
+
+  function setFill(element, pct) {
+    const fill = element.querySelector('.dwell-fill');
+    if (fill) fill.style.width = pct + '%';
+  }
+
+  function clearProgress() {
+    progress.forEach((_, element) => setFill(element, 0));
+    progress.clear();
+  }
+
+  function startLockout(element) {
+    lockoutLeft = config.lockoutMs;
+    lockoutElement = element;
+    element.classList.add('dwell-cooldown');
+    setFill(element, 100);
+  }
+
+  function endLockout() {
+    lockoutLeft = 0;
+    if (lockoutElement) {
+      lockoutElement.classList.remove('dwell-cooldown');
+      setFill(lockoutElement, 0);
+    }
+    lockoutElement = null;
+  }
+
+  function frame(now) {
+    const dt = Math.min(config.maxFrameMs, Math.max(0, now - lastFrame)) * getTimeScale();
+    lastFrame = now;
+
+    // No progress at all while locked out; the ring drains as a cooldown
+    if (lockoutLeft > 0) {
+      lockoutLeft -= dt;
+      if (lockoutLeft > 0) {
+        setFill(lockoutElement, (lockoutLeft / config.lockoutMs) * 100);
+      } else {
+        endLockout();
+      }
+      requestAnimationFrame(frame);
+      return;
+    }
+
+    let completed = null;
+    progress.forEach((state, element) => {
+      if (element === active) {
+        state.ms += dt;
+        state.idleMs = 0;
+      } else {
+        state.idleMs += dt;
+        state.ms -= dt * config.decayRate;
+        if (state.ms <= 0 || state.idleMs > config.graceMs) {
+          progress.delete(element);
+          setFill(element, 0);
+          return;
+        }
+      }
+      const dwellMs = getDwellMs(element, state.key);
+      // Without auto-selection (blink mode) the ring fills and holds
+      if (!autoSelect) state.ms = Math.min(state.ms, dwellMs);
+      setFill(element, Math.min(100, (state.ms / dwellMs) * 100));
+      if (autoSelect && element === active && state.ms >= dwellMs) completed = { element, key: state.key };
+    });
+
+    if (completed) {
+      clearProgress();
+      active = null;
+      held = completed;
+      startLockout(completed.element);
+      onSelect(completed.key, completed.element);
+    }
+    requestAnimationFrame(frame);
+  }
+
+  requestAnimationFrame(frame);
+
+  return {
+    // Gaze (or mouse) is on `element`; null when it left every target.
+    // The target just selected (or one redrawn with its key) is ignored.
+    setTarget(element, key) {
+      if (held && element && (element === held.element || key === held.key)) {
+        active = null;
+        return;
+      }
+      held = null;
+      active = element;
+      if (!element) return;
+      const state = progress.get(element);
+      if (state) {
+        state.key = key;
+      } else {
+        progress.set(element, { key, ms: 0, idleMs: 0 });
+      }
+    },
+    // Drop every progress immediately (mode change, tracking lost for good);
+    // the target just selected stays ignored until gaze leaves it
+    reset() {
+      active = null;
+      clearProgress();
+    },
+    configure({ autoSelect: nextAutoSelect = autoSelect, ...options }) {
+      autoSelect = nextAutoSelect;
+      Object.assign(config, options);
+    },
+    isLockedOut: () => lockoutLeft > 0
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DWELL_DEFAULTS, createDwellController };
+}
@@ -0,0 +1,102 @@
+// Managed WebSocket connection to the Tobii bridge for AAC Pictos.
+// Connects on load, reconnects with exponential backoff and reports the
+// stream state: 'connecting' | 'live' | 'stale' | 'lost'.
+
+const GAZE_CONNECTION_DEFAULTS = {
+  staleMs: 1500,          // No samples for this long = stale stream
+  reconnectMinMs: 500,    // First reconnection delay
+  reconnectMaxMs: 10000,  // Backoff cap
+  checkIntervalMs: 250    // How often the stale check runs
+};
+
+function createGazeConnection({ url, onMessage, onStateChange, ...options }) {
+  const config = { ...GAZE_CONNECTION_DEFAULTS, ...options };
+  let socket = null;
+  let state = 'lost';
+  let attempt = 0;
+  let reconnectTimer = null;
+  let lastMessageAt = 0;
+
+  function setState(next) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    if (onStateChange) onStateChange(next, previous);
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    const delay = Math.min(config.reconnectMaxMs, config.reconnectMinMs * Math.pow(2, attempt));
+    attempt++;
+    console.log(`Gaze bridge unavailable, reconnecting in ${delay}ms (attempt ${attempt})`);
+    reconnectTimer = setTimeout(open, delay);
+  }
+
+  function open() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    setState('connecting');
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      console.warn('Could not create gaze WebSocket:', e.message);
+      setState('lost');
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+
+    ws.onopen = () => {
+      if (ws !== socket) return;
+      attempt = 0;
+      // Open but silent until the first sample arrives
+      lastMessageAt = performance.now();
+      setState('stale');
+    };
+    ws.onmessage = (evt) => {
+      if (ws !== socket) return;
+      lastMessageAt = performance.now();
+      setState('live');
+      onMessage(evt.data);
+    };
+    ws.onclose = () => {
+      if (ws !== socket) return;
+      socket = null;
+      setState('lost');
+      scheduleReconnect();
+    };
+    // onclose always follows onerror, reconnection is handled there
+    ws.onerror = () => {};
+  }
+
+  // Drop the current socket (if any) and connect again right away
+  function reconnect() {
+    attempt = 0;
+    if (socket) {
+      const old = socket;
+      socket = null;
+      old.close();
+    }
+    open();
+  }
+
+  setInterval(() => {
+    if (state === 'live' && performance.now() - lastMessageAt > config.staleMs) {
+      setState('stale');
+    }
+  }, config.checkIntervalMs);
+
+  return {
+    connect: open,
+    reconnect,
+    getState: () => state,
+    isLive: () => state === 'live'
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GAZE_CONNECTION_DEFAULTS, createGazeConnection };
+}
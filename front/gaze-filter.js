@@ -0,0 +1,167 @@
+// Gaze filtering for AAC Pictos: drops invalid samples, smooths the stream
+// with a One Euro filter driven by the bridge timestamps and detects fixations
+// with a velocity threshold (I-VT). Dwell runs on fixations, not raw samples.
+
+const GAZE_FILTER_DEFAULTS = {
+  minCutoff: 1.0,            // Hz - lower = smoother when the eye is still
+  beta: 0.007,               // Speed coefficient - higher = less lag on saccades
+  dCutoff: 1.0,              // Hz - cutoff for the derivative
+  velocityThreshold: 1000,   // px/s - above this the eye is in a saccade
+  minFixationMs: 80,         // Minimum stable time before a fixation is reported
+  maxGapMs: 250,             // Gap between samples that resets the filter
+  lostTrackingMs: 300        // Invalid samples for longer than this = tracking lost
+};
+
+// Low-pass filter with a smoothing factor computed per sample
+function createLowPassFilter() {
+  let initialized = false;
+  let last = 0;
+  return {
+    filter(value, alpha) {
+      last = initialized ? alpha * value + (1 - alpha) * last : value;
+      initialized = true;
+      return last;
+    },
+    last() { return last; },
+    reset() { initialized = false; }
+  };
+}
+
+function smoothingFactor(dtSec, cutoff) {
+  const r = 2 * Math.PI * cutoff * dtSec;
+  return r / (r + 1);
+}
+
+// One Euro filter (Casiez et al.): adaptive cutoff based on signal speed
+function createOneEuroFilter(options = {}) {
+  const { minCutoff, beta, dCutoff } = { ...GAZE_FILTER_DEFAULTS, ...options };
+  const xFilter = createLowPassFilter();
+  const dxFilter = createLowPassFilter();
+  let lastValue = null;
+
+  return {
+    filter(value, dtSec) {
+      if (lastValue === null || dtSec <= 0) {
+        lastValue = value;
+        dxFilter.filter(0, 1);
+        return xFilter.filter(value, 1);
+      }
+      const dx = (value - lastValue) / dtSec;
+      lastValue = value;
+      const edx = dxFilter.filter(dx, smoothingFactor(dtSec, dCutoff));
+      const cutoff = minCutoff + beta * Math.abs(edx);
+      return xFilter.filter(value, smoothingFactor(dtSec, cutoff));
+    },
+    reset() {
+      lastValue = null;
+      xFilter.reset();
+      dxFilter.reset();
+    }
+  };
+}
+
+// A sample is usable when the bridge flagged it valid and both coordinates are finite
+function isValidGazeSample(sample) {
+  return !!sample &&
+    sample.valid !== false &&
+    Number.isFinite(sample.x) &&
+    Number.isFinite(sample.y);
+}
+
+// Full gaze pipeline stage. process() takes { x, y, ts, valid } in viewport
+// pixels and returns the filtered point plus the current fixation (or null
+// while the eye is moving), or null when the sample has to be dropped.
+function createGazeFilter(options = {}) {
+  const config = { ...GAZE_FILTER_DEFAULTS, ...options };
+  const fx = createOneEuroFilter(config);
+  const fy = createOneEuroFilter(config);
+
+  let lastTs = null;
+  let lastPoint = null;
+  let lastValidTs = null;
+  let fixation = null;    // { x, y, start, duration, count }
+  let candidate = null;   // Fixation being accumulated, not yet reported
+  let trackingLost = false;
+
+  function reset() {
+    fx.reset();
+    fy.reset();
+    lastTs = null;
+    lastPoint = null;
+    fixation = null;
+    candidate = null;
+  }
+
+  function sampleTime(sample) {
+    return Number.isFinite(sample.ts) ? sample.ts : performance.now();
+  }
+
+  function process(sample) {
+    const ts = sampleTime(sample);
+
+    if (!isValidGazeSample(sample)) {
+      if (lastValidTs !== null && ts - lastValidTs >= config.lostTrackingMs && !trackingLost) {
+        trackingLost = true;
+        reset();
+      }
+      return null;
+    }
+
+    // Duplicated or out-of-order frames (bursts re-sent by the bridge)
+    if (lastTs !== null && ts <= lastTs) return null;
+
+    if (lastTs !== null && ts - lastTs > config.maxGapMs) reset();
+
+    const dtSec = lastTs === null ? 0 : (ts - lastTs) / 1000;
+    lastTs = ts;
+    lastValidTs = ts;
+    trackingLost = false;
+
+    const x = fx.filter(sample.x, dtSec);
+    const y = fy.filter(sample.y, dtSec);
+    const velocity = lastPoint && dtSec > 0
+      ? Math.hypot(x - lastPoint.x, y - lastPoint.y) / dtSec
+      : 0;
+    lastPoint = { x, y };
+
+    if (velocity > config.velocityThreshold) {
+      // Saccade: the current fixation (if any) is over
+      fixation = null;
+      candidate = null;
+    } else if (fixation) {
+      fixation.count++;
+      fixation.x += (x - fixation.x) / fixation.count;
+      fixation.y += (y - fixation.y) / fixation.count;
+      fixation.duration = ts - fixation.start;
+    } else {
+      if (!candidate) candidate = { x, y, start: ts, duration: 0, count: 0 };
+      candidate.count++;
+      candidate.x += (x - candidate.x) / candidate.count;
+      candidate.y += (y - candidate.y) / candidate.count;
+      candidate.duration = ts - candidate.start;
+      if (candidate.duration >= config.minFixationMs) {
+        fixation = candidate;
+        candidate = null;
+      }
+    }
+
+    return {
+      x,
+      y,
+      ts,
+      velocity,
+      fixation: fixation ? { x: fixation.x, y: fixation.y, start: fixation.start, duration: fixation.duration } : null
+    };
+  }
+
+  return {
+    process,
+    reset,
+    isTrackingLost: () => trackingLost
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GAZE_FILTER_DEFAULTS, createOneEuroFilter, createGazeFilter, isValidGazeSample };
+}
@@ -0,0 +1,74 @@
+// Blink and gaze-gesture detection for AAC Pictos. A deliberate blink is a run
+// of invalid or missing samples whose duration falls between blinkMinMs and
+// blinkMaxMs (natural blinks are shorter) with the eyes reopening on the same
+// spot. Looking off-screen to the left or right for offscreenMs is a gesture.
+
+const GAZE_GESTURE_DEFAULTS = {
+  blinkEnabled: false,
+  gesturesEnabled: false,
+  blinkMinMs: 400,         // Natural blinks last ~100-300ms
+  blinkMaxMs: 1200,        // Longer = eyes closed / user looked away
+  blinkMaxDrift: 0.08,     // Max gaze movement across the blink (viewport fraction)
+  offscreenMs: 500         // Time off-screen before a gesture fires
+};
+
+function isOnScreen(point) {
+  return point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1;
+}
+
+// process() takes { x, y, ts, valid } in normalized (unclamped) coordinates.
+// onBlink(durationMs) and onGesture('left' | 'right') are called on detection.
+function createGazeGestures({ onBlink, onGesture, ...options }) {
+  const config = { ...GAZE_GESTURE_DEFAULTS, ...options };
+  let lastValid = null;
+  let offscreenSide = null;
+  let offscreenSince = 0;
+  let gestureFired = false;
+
+  function process(sample) {
+    if (sample.valid === false || !Number.isFinite(sample.x) || !Number.isFinite(sample.y)) {
+      // Closed eyes: the blink is measured when a valid sample comes back
+      return;
+    }
+    const ts = Number.isFinite(sample.ts) ? sample.ts : performance.now();
+    if (lastValid && ts <= lastValid.ts) return;
+
+    if (config.blinkEnabled && lastValid) {
+      const gap = ts - lastValid.ts;
+      const drift = Math.hypot(sample.x - lastValid.x, sample.y - lastValid.y);
+      if (gap >= config.blinkMinMs && gap <= config.blinkMaxMs &&
+          drift <= config.blinkMaxDrift && isOnScreen(sample) && isOnScreen(lastValid)) {
+        onBlink(gap);
+      }
+    }
+    lastValid = { x: sample.x, y: sample.y, ts };
+
+    const side = sample.x < 0 ? 'left' : sample.x > 1 ? 'right' : null;
+    if (side !== offscreenSide) {
+      offscreenSide = side;
+      offscreenSince = ts;
+      gestureFired = false;
+    } else if (side && config.gesturesEnabled && !gestureFired && ts - offscreenSince >= config.offscreenMs) {
+      // Fire once; the gaze has to come back on-screen to arm it again
+      gestureFired = true;
+      onGesture(side);
+    }
+  }
+
+  return {
+    process,
+    configure(options) {
+      Object.assign(config, options);
+    },
+    reset() {
+      lastValid = null;
+      offscreenSide = null;
+      gestureFired = false;
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GAZE_GESTURE_DEFAULTS, createGazeGestures };
+}
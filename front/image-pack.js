@@ -0,0 +1,88 @@
+// Image packs for AAC Pictos. A pack is a folder of symbol images (PNG, SVG…)
+// with a pack.json manifest mapping pictogram keys to files. Images are kept
+// in the browser's Cache Storage and shown from object URLs, so a board that
+// was opened once keeps its symbols without a network connection.
+
+const IMAGE_CACHE_NAME = 'aac-pictos-images-v1';
+
+// Cache Storage only exists in secure contexts (https, localhost)
+function hasImageCache() {
+  return typeof caches !== 'undefined';
+}
+
+// Network first so an updated pack is picked up, cached copy when offline
+async function fetchPackManifest(url) {
+  const cache = hasImageCache() ? await caches.open(IMAGE_CACHE_NAME) : null;
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+    if (cache) await cache.put(url, res.clone());
+    return await res.json();
+  } catch (error) {
+    const cached = cache && await cache.match(url);
+    if (!cached) throw error;
+    console.warn(`Image pack ${url} not reachable, using cached copy`);
+    return cached.json();
+  }
+}
+
+// Load a pack manifest: { id, name, license, images: { key: file } }.
+// Returns the pack with image paths resolved against the manifest URL.
+async function loadImagePack(url) {
+  const manifest = await fetchPackManifest(url);
+  if (!manifest || typeof manifest.images !== 'object') {
+    throw new Error(`Invalid image pack ${url}: "images" is required`);
+  }
+  const base = new URL(url, document.baseURI);
+  const images = {};
+  Object.entries(manifest.images).forEach(([key, file]) => {
+    images[key] = new URL(file, base).href;
+  });
+  return { ...manifest, url, images };
+}
+
+// Keeps an object URL for every image that has been stored in the cache.
+// resolve(src) returns it, or src itself when the image is not cached (the
+// browser then loads it normally, and the card falls back to its emoji if
+// that fails).
+function createImageStore({ cacheName = IMAGE_CACHE_NAME } = {}) {
+  const objectUrls = new Map();   // src -> blob: URL
+  const failed = new Set();
+
+  // Cache first: pack images do not change once published
+  async function store(cache, src) {
+    let res = await cache.match(src);
+    if (!res) {
+      res = await fetch(src);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      await cache.put(src, res.clone());
+    }
+    objectUrls.set(src, URL.createObjectURL(await res.blob()));
+  }
+
+  return {
+    // Cache the given images; resolves with how many became available
+    async prepare(sources) {
+      if (!hasImageCache()) return 0;
+      const pending = [...new Set(sources)].filter(src =>
+        src && !src.startsWith('data:') && !objectUrls.has(src) && !failed.has(src));
+      if (pending.length === 0) return 0;
+
+      const cache = await caches.open(cacheName);
+      const results = await Promise.allSettled(pending.map(src => store(cache, src)));
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          failed.add(pending[i]);
+          console.warn(`Could not cache image ${pending[i]}:`, result.reason.message);
+        }
+      });
+      return results.filter(result => result.status === 'fulfilled').length;
+    },
+    resolve: (src) => objectUrls.get(src) || src
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IMAGE_CACHE_NAME, loadImagePack, createImageStore };
+}
@@ -0,0 +1,187 @@
+// On-screen keyboard for AAC Pictos. When the board lacks a concept the user
+// spells it key by key (dwell or scanning, like any other target), helped by
+// word completion from a local dictionary and the user's own phrases. The
+// typed text is added to the message as a free-text chip or spoken directly.
+
+const KEYBOARD_KEY_PREFIX = 'kbd:';   // Keyboard targets: 'kbd:<letter>', 'kbd:<command>', 'kbd:word:<word>'
+const TEXT_KEY_PREFIX = 'text:';      // Free-text chips in the message: 'text:<typed text>'
+const KEYBOARD_WORD_PREFIX = 'word:';
+const KEYBOARD_COMPLETIONS = 4;       // Completion keys above the letters
+const KEYBOARD_DICTIONARY_URL = 'dictionaries/{language}.json';
+
+// Letter rows per layout and language
+const KEYBOARD_LAYOUTS = {
+  abc: {
+    es: ['abcdefg', 'hijklmn', 'ñopqrst', 'uvwxyz', 'áéíóúü'],
+    en: ['abcdefg', 'hijklmn', 'opqrstu', 'vwxyz']
+  },
+  qwerty: {
+    es: ['qwertyuiop', 'asdfghjklñ', 'zxcvbnm', 'áéíóúü'],
+    en: ['qwertyuiop', 'asdfghjkl', 'zxcvbnm']
+  }
+};
+
+// Command keys below the letters: [command, emoji, translation key]
+const KEYBOARD_COMMANDS = [
+  ['space', '␣', 'keyboard.space'],
+  ['backspace', '⌫', 'keyboard.backspace'],
+  ['add', '➕', 'keyboard.add'],
+  ['say', '🔊', 'keyboard.say']
+];
+
+function keyboardRows(layout, language) {
+  const rows = KEYBOARD_LAYOUTS[layout] || KEYBOARD_LAYOUTS.abc;
+  return (rows[language] || rows.en).map(row => [...row]);
+}
+
+// Lowercase without accents, so "cancion" completes "canción"
+function normalizeWord(word) {
+  return word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Word list of a language ({ language, words } ordered by frequency).
+// A missing dictionary leaves completion to the user's history.
+async function loadDictionary(language) {
+  const url = KEYBOARD_DICTIONARY_URL.replace('{language}', language);
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+    const data = await res.json();
+    return Array.isArray(data.words) ? data.words : [];
+  } catch (error) {
+    console.warn('Could not load keyboard dictionary:', error.message);
+    return [];
+  }
+}
+
+// Words used in saved phrases with how often, from phrase history entries
+// ({ text, keys, count })
+function historyWords(entries) {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const typed = entry.keys.filter(key => key.startsWith(TEXT_KEY_PREFIX)).map(key => key.slice(TEXT_KEY_PREFIX.length));
+    [entry.text, ...typed].join(' ').toLowerCase().match(/\p{L}+/gu)?.forEach(word => {
+      if (word.length > 1) counts.set(word, (counts.get(word) || 0) + entry.count);
+    });
+  });
+  return counts;
+}
+
+// Completions for the word being typed: the user's words first (most used),
+// then the dictionary in frequency order. An empty prefix only offers the
+// user's words.
+function completeWord(prefix, { history = new Map(), dictionary = [], limit = KEYBOARD_COMPLETIONS } = {}) {
+  const start = normalizeWord(prefix);
+  const matches = (word) => normalizeWord(word).startsWith(start) && word.length > prefix.length;
+  const ranked = [...history.entries()].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+  const words = [...ranked.filter(matches), ...(start ? dictionary.filter(matches) : [])];
+  return [...new Set(words.map(word => word.toLowerCase()))].slice(0, limit);
+}
+
+// `setupTarget(el, key)` makes a key a dwell target; `getCompletions(prefix)`
+// returns the completion words; `onAdd(text)` returns false when the message
+// cannot take the text; `onChange()` runs after the keys or text change.
+function createKeyboard({ container, getLanguage, getLayout, getCompletions, setupTarget, onAdd, onSay, onChange }) {
+  let text = '';
+  let textEl = null;
+  let completionsEl = null;
+
+  function keyButton(key, content, className) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `key ${className}`;
+    btn.dataset.key = KEYBOARD_KEY_PREFIX + key;
+    btn.innerHTML = '<div class="dwell-ring" aria-hidden="true"><div class="dwell-fill"></div></div>';
+    btn.append(content);
+    setupTarget(btn, btn.dataset.key);
+    return btn;
+  }
+
+  // The word being typed (after the last space)
+  function currentWord() {
+    return text.slice(text.lastIndexOf(' ') + 1);
+  }
+
+  function renderText() {
+    textEl.textContent = text;
+    completionsEl.innerHTML = '';
+    getCompletions(currentWord()).forEach(word => {
+      completionsEl.appendChild(keyButton(KEYBOARD_WORD_PREFIX + word, word, 'completion'));
+    });
+    onChange();
+  }
+
+  function render() {
+    container.innerHTML = '';
+    textEl = document.createElement('div');
+    textEl.className = 'keyboard-text';
+    textEl.setAttribute('aria-live', 'polite');
+    completionsEl = document.createElement('div');
+    completionsEl.className = 'keyboard-row keyboard-completions';
+    container.append(textEl, completionsEl);
+
+    keyboardRows(getLayout(), getLanguage()).forEach(letters => {
+      const row = document.createElement('div');
+      row.className = 'keyboard-row';
+      letters.forEach(letter => row.appendChild(keyButton(letter, letter, 'letter')));
+      container.appendChild(row);
+    });
+
+    const commands = document.createElement('div');
+    commands.className = 'keyboard-row';
+    KEYBOARD_COMMANDS.forEach(([command, emoji, label]) => {
+      const btn = keyButton(command, `${emoji} ${t(label)}`, `command ${command}`);
+      btn.setAttribute('aria-label', t(label));
+      commands.appendChild(btn);
+    });
+    container.appendChild(commands);
+    renderText();
+  }
+
+  function press(name) {
+    if (name.startsWith(KEYBOARD_WORD_PREFIX)) {
+      // Completion replaces the word being typed
+      text = text.slice(0, text.length - currentWord().length) + name.slice(KEYBOARD_WORD_PREFIX.length) + ' ';
+    } else if (name === 'space') {
+      if (text && !text.endsWith(' ')) text += ' ';
+    } else if (name === 'backspace') {
+      text = text.slice(0, -1);
+    } else if (name === 'add') {
+      if (!text.trim() || onAdd(text.trim()) === false) return;
+      text = '';
+    } else if (name === 'say') {
+      if (!text.trim()) return;
+      onSay(text.trim());
+      text = '';
+    } else if ([...name].length === 1) {
+      text += name;
+    }
+    renderText();
+  }
+
+  return {
+    open() {
+      container.hidden = false;
+      render();
+    },
+    close() {
+      container.hidden = true;
+      onChange();
+    },
+    isOpen: () => !container.hidden,
+    // Redraw for a new language or layout
+    refresh() {
+      if (!container.hidden) render();
+    },
+    press,
+    text: () => text
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    KEYBOARD_KEY_PREFIX, TEXT_KEY_PREFIX, KEYBOARD_LAYOUTS,
+    normalizeWord, loadDictionary, historyWords, completeWord, createKeyboard
+  };
+}
@@ -0,0 +1,416 @@
+// Open Board Format (OBF/OBZ) exchange for AAC Pictos. Imports .obf boards
+// and .obz packages (boards and images in a ZIP) into the app's board model,
+// collecting a warning for every OBF feature it cannot represent, and exports
+// board sets back to OBF with their images (image pack symbols included). Pictogram keys, emoji, search tags, grammar and
+// urgency travel in ext_aac_pictos_* fields so they survive a round trip
+// through other tools.
+
+const OBF_FORMAT = 'open-board-0.1';
+const OBF_EXT_PREFIX = 'ext_aac_pictos_';
+const OBF_EXPORT_COLUMNS = 4;      // Grid width when a board does not define one
+
+const OBF_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp'
+};
+
+// 'en-US' / 'en_US' -> 'en'
+function obfLanguage(locale, fallback) {
+  return locale ? String(locale).split(/[-_]/)[0].toLowerCase() : fallback;
+}
+
+function bytesToDataUrl(bytes, type) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+function dataUrlToBytes(url) {
+  const [meta, payload] = url.split(',');
+  const type = meta.slice(5).split(';')[0];
+  if (!meta.includes(';base64')) return { type, bytes: new TextEncoder().encode(decodeURIComponent(payload)) };
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { type, bytes };
+}
+
+function imageExtension(type) {
+  return Object.keys(OBF_IMAGE_TYPES).find(ext => OBF_IMAGE_TYPES[ext] === type) || 'bin';
+}
+
+// --- Import ---
+
+// Read an .obf or .obz file. `id` is the id given to the resulting board set
+// (so it replaces the active one), `language` is used for boards without locale.
+async function importOpenBoard(file, { id, language }) {
+  const buffer = await file.arrayBuffer();
+  const head = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  const isPackage = /\.obz$/i.test(file.name) || (head[0] === 0x50 && head[1] === 0x4b);   // "PK"
+
+  if (!isPackage) {
+    const obf = JSON.parse(new TextDecoder().decode(buffer));
+    return convertOpenBoards([{ obf, path: null }], { id, language, files: null });
+  }
+
+  const files = await readZip(buffer);
+  const readJson = (path) => {
+    const data = files.get(path);
+    if (!data) throw new Error(`Missing file in package: ${path}`);
+    return JSON.parse(new TextDecoder().decode(data));
+  };
+  const manifest = readJson('manifest.json');
+  const paths = Object.values((manifest.paths && manifest.paths.boards) || {});
+  if (manifest.root && !paths.includes(manifest.root)) paths.unshift(manifest.root);
+  if (paths.length === 0) throw new Error('The package does not contain any board');
+
+  const boards = paths.map(path => ({ obf: readJson(path), path }));
+  // The root board goes first
+  boards.sort((a, b) => (b.path === manifest.root) - (a.path === manifest.root));
+  return convertOpenBoards(boards, { id, language, files });
+}
+
+function convertOpenBoards(sources, { id, language, files }) {
+  const warnings = [];
+  const pictograms = {};
+  const boards = {};
+  const pictogramBySignature = new Map();   // Same label and image on several boards -> one pictogram
+  const boardIdByObfId = new Map();
+  const boardIdByPath = new Map();
+
+  sources.forEach(({ obf }) => {
+    if (!obf || !Array.isArray(obf.buttons) || (obf.format && !String(obf.format).startsWith('open-board-'))) {
+      throw new Error('Not an Open Board Format file');
+    }
+  });
+
+  const usedIds = new Set();
+  sources.forEach(({ obf, path }) => {
+    const base = String(obf.id || path || 'board');
+    let boardId = base;
+    for (let n = 2; usedIds.has(boardId); n++) boardId = `${base}_${n}`;
+    usedIds.add(boardId);
+    boardIdByObfId.set(String(obf.id), boardId);
+    if (path) boardIdByPath.set(path, boardId);
+  });
+
+  sources.forEach(({ obf, path }) => {
+    const boardId = path ? boardIdByPath.get(path) : boardIdByObfId.get(String(obf.id));
+    const lang = obfLanguage(obf.locale, language);
+    const boardName = obf.name || boardId;
+    const warn = (code) => warnings.push({ code, board: boardName });
+
+    // Text in the board language plus its translations from `strings`
+    const localized = (text) => {
+      const value = { [lang]: text };
+      Object.entries(obf.strings || {}).forEach(([locale, table]) => {
+        const other = obfLanguage(locale, lang);
+        if (other !== lang && table && table[text]) value[other] = table[text];
+      });
+      return value;
+    };
+
+    const images = new Map((obf.images || []).map(image => [String(image.id), image]));
+    const resolveImage = (imageId) => {
+      if (imageId === undefined || imageId === null) return null;
+      const image = images.get(String(imageId));
+      if (!image) {
+        warn('missingImage');
+        return null;
+      }
+      if (image.data) return image.data;
+      if (image.path && files) {
+        const bytes = files.get(image.path);
+        const ext = image.path.split('.').pop().toLowerCase();
+        if (bytes) return bytesToDataUrl(bytes, image.content_type || OBF_IMAGE_TYPES[ext] || 'application/octet-stream');
+      }
+      if (image.url) {
+        warn('remoteImage');
+        return image.url;
+      }
+      warn('missingImage');
+      return null;
+    };
+
+    // Button order comes from the grid (row by row); empty cells are dropped,
+    // which only changes the layout when they are not at the end
+    const buttons = new Map(obf.buttons.map(button => [String(button.id), button]));
+    const grid = obf.grid || {};
+    let order = obf.buttons.map(button => String(button.id));
+    if (Array.isArray(grid.order)) {
+      const cells = grid.order.flat().map(cell => (cell === undefined ? null : cell));
+      const lastButton = cells.reduce((last, cell, index) => (cell !== null ? index : last), -1);
+      if (cells.slice(0, lastButton).includes(null)) warn('gridGaps');
+      order = cells.filter(cell => cell !== null).map(String);
+      if (obf.buttons.some(button => !order.includes(String(button.id)))) warn('offGrid');
+    }
+
+    const items = [];
+    order.forEach(buttonId => {
+      const button = buttons.get(buttonId);
+      if (!button) return;
+      if (button.hidden) {
+        warn('hidden');
+        return;
+      }
+      if (button.action || (Array.isArray(button.actions) && button.actions.length)) {
+        warn('action');
+        return;
+      }
+      const text = button.label || button.vocalization;
+      if (!text) {
+        warn('unlabeled');
+        return;
+      }
+      if (button.sound_id !== undefined) warn('sound');
+      if (button.vocalization && button.label && button.vocalization !== button.label) warn('vocalization');
+      if (button.background_color || button.border_color) warn('colors');
+      const image = resolveImage(button.image_id);
+
+      if (button.load_board) {
+        const link = button.load_board;
+        const target = (link.path && boardIdByPath.get(link.path)) || (link.id !== undefined && boardIdByObfId.get(String(link.id)));
+        if (!target) {
+          warn('externalLink');
+          return;
+        }
+        const folder = { folder: target, label: localized(text) };
+        if (image) folder.image = image;
+        if (button[OBF_EXT_PREFIX + 'emoji']) folder.emoji = button[OBF_EXT_PREFIX + 'emoji'];
+        items.push(folder);
+        return;
+      }
+
+      const signature = `${text}\n${image || ''}`;
+      let key = pictogramBySignature.get(signature);
+      if (!key) {
+        const ownKey = button[OBF_EXT_PREFIX + 'key'];
+        key = ownKey && !pictograms[ownKey] ? ownKey : makePictogramKey(text, pictograms);
+        pictograms[key] = {
+          label: localized(text),
+          emoji: button[OBF_EXT_PREFIX + 'emoji'] || '',
+          tags: button[OBF_EXT_PREFIX + 'tags'] || {}
+        };
+        if (image) pictograms[key].image = image;
+        if (button[OBF_EXT_PREFIX + 'grammar']) pictograms[key].grammar = button[OBF_EXT_PREFIX + 'grammar'];
+        if (button[OBF_EXT_PREFIX + 'urgency']) pictograms[key].urgency = button[OBF_EXT_PREFIX + 'urgency'];
+        if (button[OBF_EXT_PREFIX + 'alert']) pictograms[key].alert = button[OBF_EXT_PREFIX + 'alert'];
+        pictogramBySignature.set(signature, key);
+      }
+      items.push(key);
+    });
+
+    const board = { title: localized(boardName), items };
+    if (obf[OBF_EXT_PREFIX + 'emoji']) board.emoji = obf[OBF_EXT_PREFIX + 'emoji'];
+    if (grid.columns > 0) {
+      board.columns = grid.columns;
+      if (grid.rows > 0) board.pageSize = grid.rows * grid.columns;
+    }
+    boards[boardId] = board;
+  });
+
+  const root = Object.keys(boards)[0];
+  const boardSet = validateBoardSet({
+    id,
+    version: 1,
+    name: boards[root].title,
+    root,
+    pictograms,
+    boards
+  });
+  return { boardSet, warnings };
+}
+
+// --- Export ---
+
+// Image shown for a board item: a pictogram's own image, else its symbol in
+// the image pack; a folder's image, else its board's
+function itemImage(boardSet, item, imagePack) {
+  if (typeof item === 'string') {
+    return boardSet.pictograms[item].image || (imagePack && imagePack.images[item]) || null;
+  }
+  return item.image || boardSet.boards[item.folder].image || null;
+}
+
+// The board set's image pack, or null when it has none or it cannot be loaded
+async function loadExportImagePack(boardSet) {
+  if (!boardSet.imagePack) return null;
+  try {
+    return await loadImagePack(boardSet.imagePack);
+  } catch (error) {
+    console.warn('Could not load image pack for export:', error.message);
+    return null;
+  }
+}
+
+// Bytes of an image referred to by URL (the cached copy when offline)
+async function fetchImageFile(src) {
+  const url = new URL(src, document.baseURI).href;
+  const cached = typeof caches !== 'undefined' ? await caches.match(url) : null;
+  const res = cached || await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const blob = await res.blob();
+  const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+  return { type: blob.type || OBF_IMAGE_TYPES[ext] || 'application/octet-stream', bytes: new Uint8Array(await blob.arrayBuffer()) };
+}
+
+// Image files of the given boards, by URL, so exports carry them instead of
+// links (relative ones would not resolve after an import). Images that
+// cannot be fetched are left out and exported as absolute URLs.
+async function loadExportImages(boardSet, boardIds, imagePack) {
+  const sources = new Set();
+  boardIds.forEach(boardId => boardSet.boards[boardId].items.forEach(item => {
+    const src = itemImage(boardSet, item, imagePack);
+    if (src && !src.startsWith('data:')) sources.add(src);
+  }));
+  const files = new Map();
+  await Promise.all([...sources].map(src => fetchImageFile(src).then(
+    file => files.set(src, file),
+    error => console.warn(`Could not export image ${src}:`, error.message))));
+  return files;
+}
+
+// OBF board for `boardId`. addImage(key, src) returns the OBF image entry
+// (inline data or a path inside the package).
+function boardToOpenBoard(boardSet, boardId, { language, imagePack, addImage, linkPath }) {
+  const board = boardSet.boards[boardId];
+  const text = (value) => (value && typeof value === 'object' ? value[language] ?? localize(value) : value || '');
+  const strings = {};
+  const addStrings = (value) => {
+    if (!value || typeof value !== 'object') return;
+    Object.entries(value).forEach(([lang, translated]) => {
+      if (lang === language) return;
+      strings[lang] = strings[lang] || {};
+      strings[lang][text(value)] = translated;
+    });
+  };
+
+  const images = [];
+  const imageIds = new Map();
+  const imageFor = (key, src) => {
+    if (!src) return undefined;
+    if (!imageIds.has(src)) {
+      const image = { id: `img_${images.length + 1}`, ...addImage(key, src) };
+      images.push(image);
+      imageIds.set(src, image.id);
+    }
+    return imageIds.get(src);
+  };
+
+  const buttons = board.items.map((item, index) => {
+    const button = { id: `btn_${index + 1}` };
+    if (typeof item === 'string') {
+      const picto = boardSet.pictograms[item];
+      button.label = text(picto.label);
+      button.image_id = imageFor(item, itemImage(boardSet, item, imagePack));
+      button[OBF_EXT_PREFIX + 'key'] = item;
+      if (picto.emoji) button[OBF_EXT_PREFIX + 'emoji'] = picto.emoji;
+      if (picto.tags && Object.keys(picto.tags).length) button[OBF_EXT_PREFIX + 'tags'] = picto.tags;
+      if (picto.grammar) button[OBF_EXT_PREFIX + 'grammar'] = picto.grammar;
+      if (picto.urgency) button[OBF_EXT_PREFIX + 'urgency'] = picto.urgency;
+      if (picto.alert) button[OBF_EXT_PREFIX + 'alert'] = picto.alert;
+      addStrings(picto.label);
+    } else {
+      const target = boardSet.boards[item.folder];
+      const label = item.label || target.title;
+      button.label = text(label);
+      button.image_id = imageFor(item.folder, itemImage(boardSet, item, imagePack));
+      const emoji = item.emoji || target.emoji;
+      if (emoji) button[OBF_EXT_PREFIX + 'emoji'] = emoji;
+      button.load_board = { id: item.folder };
+      if (linkPath) button.load_board.path = linkPath(item.folder);
+      addStrings(label);
+    }
+    if (!button.image_id) delete button.image_id;
+    return button;
+  });
+
+  const columns = board.columns || OBF_EXPORT_COLUMNS;
+  const rows = Math.max(1, Math.ceil(buttons.length / columns));
+  const order = [];
+  for (let row = 0; row < rows; row++) {
+    order.push(Array.from({ length: columns }, (_, col) => {
+      const button = buttons[row * columns + col];
+      return button ? button.id : null;
+    }));
+  }
+  addStrings(board.title);
+
+  const obf = {
+    format: OBF_FORMAT,
+    id: boardId,
+    locale: language,
+    name: text(board.title) || boardId,
+    buttons,
+    grid: { rows, columns, order },
+    images
+  };
+  if (board.emoji) obf[OBF_EXT_PREFIX + 'emoji'] = board.emoji;
+  if (Object.keys(strings).length) obf.strings = strings;
+  return obf;
+}
+
+// Single board as a standalone .obf (images inlined). Folder buttons keep
+// their link by board id only.
+async function exportOpenBoard(boardSet, boardId, { language }) {
+  const imagePack = await loadExportImagePack(boardSet);
+  const files = await loadExportImages(boardSet, [boardId], imagePack);
+  const obf = boardToOpenBoard(boardSet, boardId, {
+    language,
+    imagePack,
+    addImage: (key, src) => {
+      if (src.startsWith('data:')) return { data: src, content_type: dataUrlToBytes(src).type };
+      const file = files.get(src);
+      if (!file) return { url: new URL(src, document.baseURI).href };
+      return { data: bytesToDataUrl(file.bytes, file.type), content_type: file.type };
+    }
+  });
+  return new Blob([JSON.stringify(obf, null, 2)], { type: 'application/json' });
+}
+
+// Every board of the set as an .obz package, images stored as files
+async function exportOpenBoardPackage(boardSet, { language }) {
+  const imagePack = await loadExportImagePack(boardSet);
+  const files = await loadExportImages(boardSet, Object.keys(boardSet.boards), imagePack);
+  const entries = [];
+  const packagedImages = new Map();   // image src -> { id, path, content_type }, shared by all boards
+  const boardPath = (boardId) => `boards/${boardId}.obf`;
+  const addImage = (key, src) => {
+    if (!packagedImages.has(src)) {
+      const file = src.startsWith('data:') ? dataUrlToBytes(src) : files.get(src);
+      if (!file) return { url: new URL(src, document.baseURI).href };
+      const { type, bytes } = file;
+      const id = `img_${packagedImages.size + 1}`;
+      const path = `images/${id}_${key}.${imageExtension(type)}`;
+      packagedImages.set(src, { id, path, content_type: type });
+      entries.push({ name: path, data: bytes });
+    }
+    return packagedImages.get(src);
+  };
+
+  const manifest = {
+    format: OBF_FORMAT,
+    root: boardPath(boardSet.root),
+    paths: { boards: {}, images: {} }
+  };
+  Object.keys(boardSet.boards).forEach(boardId => {
+    const obf = boardToOpenBoard(boardSet, boardId, { language, imagePack, addImage, linkPath: boardPath });
+    manifest.paths.boards[boardId] = boardPath(boardId);
+    obf.images.forEach(image => { if (image.path) manifest.paths.images[image.id] = image.path; });
+    entries.push({ name: boardPath(boardId), data: JSON.stringify(obf, null, 2) });
+  });
+  entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  return createZip(entries, 'application/zip');
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OBF_FORMAT, importOpenBoard, exportOpenBoard, exportOpenBoardPackage };
+}
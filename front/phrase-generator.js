@@ -0,0 +1,175 @@
+// Rule-based phrase generation for AAC Pictos, used when the AI is not
+// available (offline, proxy down, Azure errors) by both the browser and the
+// backend proxy. Pictograms describe their grammar in the board file (part of
+// speech, person, formality and their words per language); conjugations and
+// sentence templates live in grammar/<language>.json. New pictograms and
+// languages only need data.
+
+const PHRASE_RULES_URL = 'grammar/{language}.json';
+
+// Parts of speech in a pictogram's "grammar" (items without one are nouns)
+const PHRASE_POS = ['pronoun', 'person', 'noun', 'verb', 'state', 'yes', 'no'];
+
+// Grammar of one message item ({ key, label, grammar }) in `language`
+function itemGrammar(item, language) {
+  const grammar = item.grammar || {};
+  const forms = typeof grammar[language] === 'string' ? { text: grammar[language] } : grammar[language] || {};
+  const label = String(item.label || item.key || '');
+  return {
+    pos: PHRASE_POS.includes(grammar.pos) ? grammar.pos : 'noun',
+    person: grammar.person === 2 ? '2' : '1',
+    formal: !!grammar.formal,
+    want: grammar.want === 'need' ? 'need' : 'want',
+    text: forms.text || label.charAt(0).toLowerCase() + label.slice(1),
+    verb: forms.verb,
+    request: forms.request,
+    label
+  };
+}
+
+// Form of a verb (or intent: want, need, can) for person '1', '2' or
+// 'formal'. Rules may give question ('?2') and negative ('-1', '-?2') forms;
+// otherwise the language's negation pattern is applied.
+function conjugate(rules, verb, person, { question = false, negative = false } = {}) {
+  const forms = rules.verbs[verb] || rules.verbs[(rules.intents || {})[verb]];
+  if (!forms) return verb || '';
+  const q = question ? '?' : '';
+  if (negative) {
+    const own = forms[`-${q}${person}`] || forms[`-${person}`];
+    if (own) return own;
+  }
+  const base = forms[`${q}${person}`] || forms[person];
+  return negative && rules.negation ? rules.negation.replace('{verb}', base) : base;
+}
+
+function joinList(parts, rules) {
+  if (parts.length <= 1) return parts.join('');
+  return parts.slice(0, -1).join(rules.list.separator) + rules.list.last + parts[parts.length - 1];
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+function capitalize(sentence) {
+  return sentence.replace(/^([¿¡]?)(.)/, (match, mark, letter) => mark + letter.toUpperCase());
+}
+
+// Lowercase a sentence that goes after "Sí, " or "Doctor, " (unless it starts
+// with a word that keeps its case, like English "I")
+function lowerFirst(sentence, rules) {
+  const [, mark, word] = sentence.match(/^([¿¡]?)([^\s,.?!]*)/);
+  if ((rules.keepCase || []).includes(word)) return sentence;
+  return mark + word.charAt(0).toLowerCase() + sentence.slice(mark.length + 1);
+}
+
+function applyContractions(text, rules) {
+  return Object.entries(rules.contractions || {}).reduce(
+    (result, [from, to]) => result.split(` ${from} `).join(` ${to} `), text);
+}
+
+// Build a phrase from the selected items (in message order) with the rules
+// of one language. States, wishes and activities become one sentence each;
+// "you" or a person on the board turns wishes into requests to them.
+function generatePhrase(items, rules) {
+  const words = items.map(item => itemGrammar(item, rules.language));
+  const byPos = (pos) => words.filter(word => word.pos === pos);
+  const join = (parts) => joinList(parts, rules);
+  const templates = rules.templates;
+
+  const pronoun = byPos('pronoun')[0];
+  const people = byPos('person');
+  const negative = byPos('no').length > 0;
+  const affirm = byPos('yes').length > 0;
+  const subject = pronoun ? pronoun.person : '1';
+  // Asking the listener: "you" was chosen, or a person without "I"
+  const asking = subject === '2' || (!pronoun && people.length > 0);
+  const listener = people.some(person => person.formal) ? 'formal' : '2';
+  const objects = byPos('noun');
+  const actions = byPos('verb');
+  const states = byPos('state');
+  const intent = (list) => (list.some(word => word.want === 'need') ? 'need' : 'want');
+
+  const sentences = [];
+  if (states.length) {
+    const question = subject === '2';
+    const person = question ? listener : subject;
+    const phrases = states.map(state =>
+      [conjugate(rules, state.verb, person, { question, negative }), state.text].filter(Boolean).join(' '));
+    sentences.push(fillTemplate(question ? templates.stateQuestion : templates.state, { states: join(phrases) }));
+  }
+  if (objects.length) {
+    if (asking && !negative) {
+      // Objects that say how to ask for them ("help" -> "help me")
+      const direct = objects.every(object => object.request);
+      sentences.push(fillTemplate(direct ? templates.requestAction : templates.request, {
+        verb: conjugate(rules, 'can', listener, { question: true }),
+        objects: join(objects.map(object => (direct ? object.request : object.text)))
+      }));
+    } else {
+      sentences.push(fillTemplate(negative ? templates.wantNegative : templates.want, {
+        verb: conjugate(rules, intent(objects), '1', { negative }),
+        objects: join(objects.map(object => object.text))
+      }));
+    }
+  }
+  if (actions.length) {
+    const phrases = join(actions.map(action => action.text));
+    sentences.push(asking && !negative
+      ? fillTemplate(templates.activityRequest, { verb: conjugate(rules, 'can', listener, { question: true }), actions: phrases })
+      : fillTemplate(templates.activity, { verb: conjugate(rules, intent(actions), '1', { negative }), actions: phrases }));
+  }
+
+  if (!sentences.length) {
+    if (people.length) return capitalize(applyContractions(fillTemplate(templates.call, { people: join(people.map(p => p.text)) }), rules));
+    if (negative) return templates.no;
+    if (affirm) return templates.yes;
+    // Only "I" or "you": the word on its own
+    if (pronoun && words.every(word => word.pos === 'pronoun')) {
+      return capitalize(fillTemplate(templates.pronoun, { pronouns: join(byPos('pronoun').map(word => word.text)) }));
+    }
+    return fillTemplate(templates.fallback, { labels: join(words.map(word => word.text)) });
+  }
+
+  let first = capitalize(sentences[0]);
+  if (affirm && !negative) first = fillTemplate(templates.affirm, { sentence: lowerFirst(first, rules) });
+  if (people.length) first = fillTemplate(templates.vocative, { person: people[0].label, sentence: lowerFirst(first, rules) });
+  return applyContractions([first, ...sentences.slice(1).map(capitalize)].join(' '), rules);
+}
+
+// Readings of a message for the user to choose from, as { phrase, kind }
+// (statement, question or request): the message as selected, then said by
+// "I" and asked of "you" (replacing any chosen pronoun) when there is more
+// than pronouns to say. Duplicates are dropped, so short messages may give a
+// single candidate.
+function generateCandidates(items, rules, limit = 3) {
+  const words = (variant) => variant.map(item => itemGrammar(item, rules.language));
+  const others = items.filter(item => itemGrammar(item, rules.language).pos !== 'pronoun');
+  // The pronoun words of the language ("pronouns" in the rules) as labels
+  const pronoun = (person) => ({
+    key: `pronoun:${person}`,
+    label: (rules.pronouns || {})[person] || '',
+    grammar: { pos: 'pronoun', person }
+  });
+  const wish = words(others).some(word => word.pos === 'noun' || word.pos === 'verb');
+  // Same test as generatePhrase: wishes addressed to the listener are requests
+  const asking = (variant) => {
+    const subject = words(variant).find(word => word.pos === 'pronoun');
+    return subject ? subject.person === '2' : words(variant).some(word => word.pos === 'person');
+  };
+
+  const candidates = [];
+  const variants = others.length ? [items, [pronoun(1), ...others], [pronoun(2), ...others]] : [items];
+  variants.forEach(variant => {
+    const phrase = generatePhrase(variant, rules);
+    if (candidates.some(candidate => candidate.phrase === phrase)) return;
+    const kind = !phrase.includes('?') ? 'statement' : (wish && asking(variant) ? 'request' : 'question');
+    candidates.push({ phrase, kind });
+  });
+  return candidates.slice(0, limit);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PHRASE_RULES_URL, itemGrammar, conjugate, generatePhrase, generateCandidates };
+}
@@ -0,0 +1,172 @@
+// Phrase history and favorites for AAC Pictos. Every generated phrase is kept
+// with the pictograms it came from, per user profile, so frequent needs can be
+// spoken again from a dwell strip without composing them. Caregivers pin,
+// edit and delete entries in a separate dialog.
+
+const PHRASE_STORAGE_KEY = 'aac-pictos.phrases';
+const PHRASE_HISTORY_MAX = 50;     // Unpinned entries kept per user (oldest dropped)
+const PHRASE_STRIP_RECENT = 6;     // Recent (unpinned) phrases shown in the strip
+
+// Stored per user: { [userId]: [{ id, text, keys, language, pinned, count, createdAt, lastUsedAt }] }
+function readPhraseStore() {
+  try {
+    return JSON.parse(localStorage.getItem(PHRASE_STORAGE_KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function createPhraseHistory({ getUserId }) {
+  function load() {
+    return readPhraseStore()[getUserId()] || [];
+  }
+
+  function save(entries) {
+    const store = readPhraseStore();
+    // Pinned entries are always kept; only the most recent others
+    const recent = entries.filter(e => !e.pinned)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+      .slice(0, PHRASE_HISTORY_MAX);
+    store[getUserId()] = entries.filter(e => e.pinned || recent.includes(e));
+    try {
+      localStorage.setItem(PHRASE_STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+      console.error('Could not save phrase history:', error.message);
+    }
+  }
+
+  // Apply `change` to one entry and save; returns the entry (null if unknown)
+  function updateEntry(id, change) {
+    const entries = load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+    change(entry, entries);
+    save(entries);
+    return entry;
+  }
+
+  return {
+    // Record a generated phrase; the same text again only refreshes its entry
+    add(text, keys, language) {
+      const phrase = text.trim();
+      if (!phrase) return null;
+      const entries = load();
+      const now = new Date().toISOString();
+      let entry = entries.find(e => e.language === language && e.text.toLowerCase() === phrase.toLowerCase());
+      if (entry) {
+        entry.count++;
+        entry.lastUsedAt = now;
+        entry.keys = [...keys];
+      } else {
+        entry = {
+          id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          text: phrase,
+          keys: [...keys],
+          language,
+          pinned: false,
+          count: 1,
+          createdAt: now,
+          lastUsedAt: now
+        };
+        entries.push(entry);
+      }
+      save(entries);
+      return entry;
+    },
+    get: (id) => load().find(e => e.id === id) || null,
+    // Spoken again from the strip
+    use: (id) => updateEntry(id, entry => {
+      entry.count++;
+      entry.lastUsedAt = new Date().toISOString();
+    }),
+    pin: (id, pinned) => updateEntry(id, entry => { entry.pinned = pinned; }),
+    edit: (id, text) => updateEntry(id, entry => { entry.text = text.trim(); }),
+    remove: (id) => updateEntry(id, (entry, entries) => entries.splice(entries.indexOf(entry), 1)),
+    // Every entry, favorites first, then most recently used
+    list() {
+      return load().sort((a, b) => (b.pinned - a.pinned) || b.lastUsedAt.localeCompare(a.lastUsedAt));
+    },
+    // What the strip shows in `language`: all favorites, then the latest others
+    stripEntries(language, recentCount = PHRASE_STRIP_RECENT) {
+      const entries = this.list().filter(e => e.language === language);
+      return [
+        ...entries.filter(e => e.pinned),
+        ...entries.filter(e => !e.pinned).slice(0, recentCount)
+      ];
+    },
+    // Forget every phrase of a user (the active one by default)
+    clear(userId = getUserId()) {
+      const store = readPhraseStore();
+      delete store[userId];
+      try {
+        localStorage.setItem(PHRASE_STORAGE_KEY, JSON.stringify(store));
+      } catch (error) {
+        console.error('Could not save phrase history:', error.message);
+      }
+    }
+  };
+}
+
+// Caregiver dialog listing every phrase with pin, edit and delete.
+// onChange() is called after each change so the strip can be redrawn.
+function createPhraseManager({ dialog, history, onChange }) {
+  const listEl = dialog.querySelector('#phraseList');
+  const emptyEl = dialog.querySelector('#phraseEmpty');
+
+  function render() {
+    const entries = history.list();
+    listEl.innerHTML = '';
+    emptyEl.hidden = entries.length > 0;
+    entries.forEach(entry => {
+      const row = document.createElement('li');
+      row.className = 'editor-item';
+
+      const label = document.createElement('span');
+      label.className = 'editor-label';
+      label.textContent = entry.text;
+      const meta = document.createElement('small');
+      meta.className = 'phrase-meta';
+      meta.textContent = ` ${entry.language} · ${t('phrases.uses').replace('{count}', entry.count)}`;
+      label.appendChild(meta);
+      row.appendChild(label);
+
+      const button = (text, handler, title) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        if (title) btn.title = title;
+        btn.addEventListener('click', () => {
+          handler();
+          render();
+          onChange();
+        });
+        row.appendChild(btn);
+      };
+      button(entry.pinned ? '★' : '☆', () => history.pin(entry.id, !entry.pinned),
+        t(entry.pinned ? 'phrases.unpin' : 'phrases.pin'));
+      button(t('editor.edit'), () => {
+        const text = prompt(t('phrases.editPrompt'), entry.text);
+        if (text && text.trim()) history.edit(entry.id, text);
+      });
+      button(t('editor.delete'), () => {
+        if (confirm(t('phrases.confirmDelete').replace('{text}', entry.text))) history.remove(entry.id);
+      });
+      listEl.appendChild(row);
+    });
+  }
+
+  dialog.querySelector('#phraseManagerClose').addEventListener('click', () => dialog.close());
+
+  return {
+    open() {
+      render();
+      dialog.showModal();
+    },
+    isOpen: () => dialog.open
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PHRASE_HISTORY_MAX, createPhraseHistory, createPhraseManager };
+}
@@ -0,0 +1,127 @@
+// Streaming phrase generation for AAC Pictos. Reads the proxy's
+// Server-Sent Events reply (`token` pieces, then one `done` result) so the
+// phrase can be shown while it is written, and speaks each sentence as soon
+// as it is complete instead of waiting for the whole phrase.
+
+const PHRASE_STREAM_IDLE_MS = 10000;   // Give up when nothing arrives for this long
+
+// Sentence ends: . ! ? … (and closing quotes) followed by a space
+const SENTENCE_END = /[.!?…]+["'»”)]*\s/g;
+
+// Length of the text up to the end of its last complete sentence (0 if none)
+function completeSentencesLength(text) {
+  let end = 0;
+  for (const match of text.matchAll(SENTENCE_END)) end = match.index + match[0].length;
+  return end;
+}
+
+// Events of an SSE body, as { event, data } with `data` parsed from JSON
+async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+      let split;
+      while ((split = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, split);
+        buffer = buffer.slice(split + 2);
+        let event = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        if (data.length) yield { event, data: JSON.parse(data.join('\n')) };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// POSTs `body` to a streaming endpoint and calls `onText(text)` with the
+// phrase so far after every piece. Resolves with the `done` result
+// ({ phrase, source, ... }). Aborting `signal` cancels the request (and the
+// proxy's call to the AI); so does a silence of `idleMs`, which rejects with
+// a TimeoutError.
+async function streamPhrase(url, body, { signal, onText = () => {}, idleMs = PHRASE_STREAM_IDLE_MS } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  let idleTimer = null;
+  let timedOut = false;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => { timedOut = true; controller.abort(); }, idleMs);
+  };
+
+  try {
+    resetIdle();
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(`HTTP ${res.status}: ${errorData.error || 'Proxy error'}`);
+    }
+
+    let text = '';
+    for await (const { event, data } of readEventStream(res.body)) {
+      resetIdle();
+      if (event === 'token') {
+        text += data.text;
+        onText(text);
+      } else if (event === 'done') {
+        return data;
+      }
+    }
+    throw new Error('Stream ended without a result');
+  } catch (error) {
+    if (timedOut) {
+      const timeout = new Error(`No reply from the proxy in ${idleMs / 1000}s`);
+      timeout.name = 'TimeoutError';
+      throw timeout;
+    }
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// Says a growing text one complete sentence at a time with `say(sentence)`.
+// `finish(text)` says what is left of the final text and returns false when
+// that text does not continue what was already said (the caller then says it
+// all again).
+function createSentenceSpeaker(say) {
+  let said = '';
+
+  return {
+    update(text) {
+      const end = completeSentencesLength(text);
+      if (end <= said.length || !text.startsWith(said)) return;
+      say(text.slice(said.length, end).trim());
+      said = text.slice(0, end);
+    },
+    finish(text) {
+      if (!text.startsWith(said)) return false;
+      const rest = text.slice(said.length).trim();
+      if (rest) say(rest);
+      said = text;
+      return true;
+    },
+    hasSpoken: () => said.length > 0
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { completeSentencesLength, readEventStream, streamPhrase, createSentenceSpeaker };
+}
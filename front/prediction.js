@@ -0,0 +1,134 @@
+// Next-pictogram prediction for AAC Pictos. Learns n-gram counts (up to
+// trigrams) from the messages a user completes, separately for each time of
+// day, and scores the likely next pictograms by interpolating the orders.
+// Models are stored per user profile and can be reset.
+
+const PREDICTION_STORAGE_KEY = 'aac-pictos.prediction';
+const PREDICTION_START = '^';             // Context at the start of a message
+const PREDICTION_WEIGHTS = { 3: 0.5, 2: 0.35, 1: 0.15 };   // Interpolation per n-gram order
+const PREDICTION_SLOT_BOOST = 2;          // Extra weight of counts from the same time of day
+const PREDICTION_MAX_COUNT = 500;         // Contexts above this are halved so recent use wins
+const PREDICTION_SLOTS = 4;               // Night, morning, afternoon, evening
+
+// Stored per user: { [userId]: { [context]: { [next]: [countPerSlot] } } }
+// where context is '' (unigram), 'a' (bigram) or 'a b' (trigram)
+function readPredictionStore() {
+  try {
+    return JSON.parse(localStorage.getItem(PREDICTION_STORAGE_KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function timeSlot(date) {
+  return Math.floor(date.getHours() / (24 / PREDICTION_SLOTS));
+}
+
+function createPredictor({ getUserId, now = () => new Date() }) {
+  let cachedUser = null;
+  let model = {};
+
+  function load() {
+    if (cachedUser !== getUserId()) {
+      cachedUser = getUserId();
+      model = readPredictionStore()[cachedUser] || {};
+    }
+    return model;
+  }
+
+  function save() {
+    const store = readPredictionStore();
+    store[cachedUser] = model;
+    try {
+      localStorage.setItem(PREDICTION_STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+      console.error('Could not save prediction model:', error.message);
+    }
+  }
+
+  function count(context, next, slot) {
+    const table = model[context] || (model[context] = {});
+    const counts = table[next] || (table[next] = new Array(PREDICTION_SLOTS).fill(0));
+    counts[slot]++;
+
+    const total = Object.values(table).reduce((sum, c) => sum + c.reduce((a, b) => a + b, 0), 0);
+    if (total > PREDICTION_MAX_COUNT) {
+      Object.keys(table).forEach(key => {
+        table[key] = table[key].map(c => c / 2);
+        if (table[key].every(c => c < 0.5)) delete table[key];
+      });
+    }
+  }
+
+  // Probability of each next key after `context`, with same-slot counts boosted
+  function distribution(context, slot) {
+    const table = model[context];
+    if (!table) return null;
+    const weighted = {};
+    let total = 0;
+    Object.entries(table).forEach(([next, counts]) => {
+      const w = counts.reduce((a, b) => a + b, 0) + PREDICTION_SLOT_BOOST * counts[slot];
+      weighted[next] = w;
+      total += w;
+    });
+    if (!total) return null;
+    Object.keys(weighted).forEach(next => { weighted[next] /= total; });
+    return weighted;
+  }
+
+  return {
+    // Learn from a completed message (list of pictogram keys)
+    learn(keys) {
+      if (!keys.length) return;
+      load();
+      const slot = timeSlot(now());
+      const sequence = [PREDICTION_START, ...keys];
+      for (let i = 1; i < sequence.length; i++) {
+        count('', sequence[i], slot);
+        count(sequence[i - 1], sequence[i], slot);
+        if (i >= 2) count(`${sequence[i - 2]} ${sequence[i - 1]}`, sequence[i], slot);
+      }
+      save();
+    },
+    // Most likely next keys after `selected` (the keys chosen so far).
+    // `candidates` limits the result to keys that still exist on the board.
+    predict(selected, { limit = 4, exclude = [], candidates = null } = {}) {
+      load();
+      const slot = timeSlot(now());
+      const sequence = [PREDICTION_START, ...selected];
+      const last = sequence[sequence.length - 1];
+      const contexts = {
+        3: sequence.length >= 2 ? `${sequence[sequence.length - 2]} ${last}` : null,
+        2: last,
+        1: ''
+      };
+
+      const scores = {};
+      Object.entries(contexts).forEach(([order, context]) => {
+        const probs = context !== null && distribution(context, slot);
+        if (!probs) return;
+        Object.entries(probs).forEach(([next, p]) => {
+          scores[next] = (scores[next] || 0) + PREDICTION_WEIGHTS[order] * p;
+        });
+      });
+
+      return Object.entries(scores)
+        .filter(([key]) => !exclude.includes(key) && (!candidates || candidates.has(key)))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([key, score]) => ({ key, score }));
+    },
+    // Forget everything learned for a user (the active one by default)
+    reset(userId = getUserId()) {
+      const store = readPredictionStore();
+      delete store[userId];
+      localStorage.setItem(PREDICTION_STORAGE_KEY, JSON.stringify(store));
+      if (userId === cachedUser) model = {};
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PREDICTION_START, timeSlot, createPredictor };
+}
@@ -0,0 +1,122 @@
+// User profiles for AAC Pictos. Several people often share one device: each
+// profile keeps its own control bar settings, language and board, and can be
+// exported to a JSON file to set up another device.
+
+const PROFILE_STORAGE_KEY = 'aac-pictos.profiles';
+const PROFILE_FILE_VERSION = 1;
+const DEFAULT_PROFILE_ID = 'default';
+
+// Stored as { active, profiles: { [id]: { name, settings, language, board, updatedAt } } }
+function readProfileStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+    if (store && store.profiles && Object.keys(store.profiles).length) return store;
+  } catch (_) {
+    // Corrupt data: start over with a default profile
+  }
+  return null;
+}
+
+function writeProfileStore(store) {
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(store));
+}
+
+// Profile id from its name, unique among the existing ones
+function makeProfileId(name, profiles) {
+  const base = name.trim().toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'user';
+  let id = base;
+  for (let n = 2; profiles[id]; n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Parse and validate a profile file, throws with a readable message
+function parseProfileFile(text) {
+  const data = JSON.parse(text);
+  if (!data || data.app !== 'aac-pictos' || data.type !== 'profile' || !data.profile) {
+    throw new Error('Not an AAC Pictos profile file');
+  }
+  if (data.version > PROFILE_FILE_VERSION) {
+    throw new Error(`Unsupported profile version ${data.version}`);
+  }
+  const { name, settings, language, board } = data.profile;
+  if (typeof name !== 'string' || !name.trim()) throw new Error('The profile has no name');
+  return { name, settings: settings || {}, language, board };
+}
+
+// `defaultName` names the profile created on first use
+function createProfileManager({ defaultName }) {
+  let store = readProfileStore() || {
+    active: DEFAULT_PROFILE_ID,
+    profiles: { [DEFAULT_PROFILE_ID]: { name: defaultName, settings: {}, updatedAt: new Date().toISOString() } }
+  };
+  if (!store.profiles[store.active]) store.active = Object.keys(store.profiles)[0];
+
+  function save() {
+    try {
+      writeProfileStore(store);
+    } catch (error) {
+      console.error('Could not save profiles:', error.message);
+    }
+  }
+
+  function add(profile) {
+    const id = makeProfileId(profile.name, store.profiles);
+    store.profiles[id] = { ...profile, updatedAt: new Date().toISOString() };
+    store.active = id;
+    save();
+    return id;
+  }
+
+  return {
+    activeId: () => store.active,
+    active: () => ({ id: store.active, ...store.profiles[store.active] }),
+    list: () => Object.entries(store.profiles).map(([id, profile]) => ({ id, name: profile.name })),
+    switchTo(id) {
+      if (!store.profiles[id]) return false;
+      store.active = id;
+      save();
+      return true;
+    },
+    // New profile (made active) from the given settings
+    create(name, { settings = {}, language, board } = {}) {
+      return add({ name: name.trim(), settings, language, board });
+    },
+    // Merge changes into the active profile
+    update(changes) {
+      Object.assign(store.profiles[store.active], changes, { updatedAt: new Date().toISOString() });
+      save();
+    },
+    // The last profile cannot be removed
+    remove(id) {
+      if (!store.profiles[id] || Object.keys(store.profiles).length <= 1) return false;
+      delete store.profiles[id];
+      if (store.active === id) store.active = Object.keys(store.profiles)[0];
+      save();
+      return true;
+    },
+    exportProfile(id = store.active) {
+      const { name, settings, language, board } = store.profiles[id];
+      return {
+        app: 'aac-pictos',
+        type: 'profile',
+        version: PROFILE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: { name, settings, language, board }
+      };
+    },
+    // Add an imported profile (made active); a name already in use gets a suffix
+    importProfile(profile) {
+      const names = new Set(Object.values(store.profiles).map(p => p.name));
+      let name = profile.name.trim();
+      for (let n = 2; names.has(name); n++) name = `${profile.name.trim()} (${n})`;
+      return add({ ...profile, name });
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PROFILE_STORAGE_KEY, makeProfileId, parseProfileFile, createProfileManager };
+}
@@ -0,0 +1,177 @@
+// Switch scanning for AAC Pictos: an alternative to dwell for users who can
+// press one or two switches (USB switch interfaces emit Space / Enter).
+// Modes: 'scan-auto' (single switch, auto-advance) and 'scan-step'
+// (two switches: Space steps, Enter selects). Patterns: 'linear' or
+// 'row-column'. Highlighting reuses the dwell ring of each target.
+
+const SCAN_DEFAULTS = {
+  intervalMs: 1200,       // Time each item/row stays highlighted in auto mode
+  loopsBeforeExit: 2      // Full passes over a row before going back to rows
+};
+
+// Group elements into visual rows using their on-screen position
+function groupIntoRows(elements) {
+  const rows = [];
+  elements.forEach(el => {
+    const top = Math.round(el.getBoundingClientRect().top);
+    let row = rows.find(r => Math.abs(r.top - top) < 10);
+    if (!row) {
+      row = { top, items: [] };
+      rows.push(row);
+    }
+    row.items.push(el);
+  });
+  return rows.sort((a, b) => a.top - b.top).map(r => r.items);
+}
+
+function createScanner({ getTargets, onSelect, ...options }) {
+  const config = { ...SCAN_DEFAULTS, ...options };
+  let mode = 'dwell';
+  let pattern = 'linear';
+  let level = 'item';      // 'row' while scanning rows, 'item' inside a row / linear
+  let rows = [];
+  let units = [];          // What is being scanned now: array of element groups
+  let index = 0;
+  let loops = 0;
+  let timer = null;
+  let frame = null;
+  let highlighted = [];
+
+  function isActive() {
+    return mode !== 'dwell';
+  }
+
+  function clearHighlight() {
+    cancelAnimationFrame(frame);
+    highlighted.forEach(el => {
+      el.classList.remove('scan-highlight');
+      const fill = el.querySelector('.dwell-fill');
+      if (fill) fill.style.width = '0%';
+    });
+    highlighted = [];
+  }
+
+  // Fill the dwell ring while the unit is highlighted (auto mode only)
+  function animateFill(start) {
+    const pct = Math.min(100, ((performance.now() - start) / config.intervalMs) * 100);
+    highlighted.forEach(el => {
+      const fill = el.querySelector('.dwell-fill');
+      if (fill) fill.style.width = pct + '%';
+    });
+    if (pct < 100) frame = requestAnimationFrame(() => animateFill(start));
+  }
+
+  function highlight() {
+    clearHighlight();
+    highlighted = units[index] || [];
+    highlighted.forEach(el => el.classList.add('scan-highlight'));
+    if (highlighted[0]) highlighted[0].scrollIntoView({ block: 'nearest' });
+    if (mode === 'scan-auto') animateFill(performance.now());
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (mode === 'scan-auto') timer = setTimeout(step, config.intervalMs);
+  }
+
+  // Start again from the first row / item with fresh target positions
+  function restart() {
+    const targets = getTargets();
+    rows = groupIntoRows(targets);
+    if (pattern === 'row-column') {
+      level = 'row';
+      units = rows;
+    } else {
+      level = 'item';
+      units = targets.map(el => [el]);
+    }
+    index = 0;
+    loops = 0;
+    highlight();
+    schedule();
+  }
+
+  function enterRow(row) {
+    level = 'item';
+    units = row.map(el => [el]);
+    index = 0;
+    loops = 0;
+    highlight();
+    schedule();
+  }
+
+  function step() {
+    if (!isActive() || !units.length) return;
+    index++;
+    if (index >= units.length) {
+      index = 0;
+      loops++;
+      // Leave the row if the user did not pick anything in it
+      const maxLoops = mode === 'scan-auto' ? config.loopsBeforeExit : 1;
+      if (pattern === 'row-column' && level === 'item' && loops >= maxLoops) {
+        restart();
+        return;
+      }
+    }
+    highlight();
+    schedule();
+  }
+
+  function press() {
+    if (!isActive() || !units.length) return;
+    const unit = units[index];
+    if (level === 'row' && unit.length > 1) {
+      enterRow(unit);
+      return;
+    }
+    clearHighlight();
+    clearTimeout(timer);
+    onSelect(unit[0]);
+    restart();
+  }
+
+  // Returns true when the key was consumed by the scanner
+  function handleKey(e) {
+    if (!isActive() || e.repeat) return false;
+    if (mode === 'scan-auto' && (e.key === ' ' || e.key === 'Enter')) {
+      press();
+      return true;
+    }
+    if (mode === 'scan-step' && e.key === ' ') {
+      step();
+      return true;
+    }
+    if (mode === 'scan-step' && e.key === 'Enter') {
+      press();
+      return true;
+    }
+    return false;
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearHighlight();
+  }
+
+  return {
+    configure({ mode: nextMode = mode, pattern: nextPattern = pattern, intervalMs = config.intervalMs }) {
+      mode = nextMode;
+      pattern = nextPattern;
+      config.intervalMs = intervalMs;
+      stop();
+      if (isActive()) restart();
+    },
+    // Targets changed (board re-rendered): rebuild the scan from the start
+    refresh() {
+      if (isActive()) restart();
+    },
+    handleKey,
+    stop,
+    isActive
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SCAN_DEFAULTS, groupIntoRows, createScanner };
+}
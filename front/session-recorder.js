@@ -0,0 +1,123 @@
+// Gaze session recorder and replayer for AAC Pictos. Records the raw messages
+// received from the bridge (with arrival times, viewport size and board
+// layout) into a downloadable JSON file, and replays such a file through the
+// same gaze pipeline at real or accelerated speed, without a Tobii attached.
+
+const SESSION_FORMAT_VERSION = 1;
+
+function createSessionRecorder({ getContext }) {
+  let session = null;
+  let startedAt = 0;
+
+  function elapsed() {
+    return Math.round((performance.now() - startedAt) * 10) / 10;
+  }
+
+  return {
+    start() {
+      startedAt = performance.now();
+      session = {
+        version: SESSION_FORMAT_VERSION,
+        app: 'aac-pictos',
+        recordedAt: new Date().toISOString(),
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight,
+          devicePixelRatio: window.devicePixelRatio
+        },
+        ...getContext(),
+        samples: [],
+        events: []
+      };
+    },
+    // Raw message as received from the WebSocket
+    record(data) {
+      if (session) session.samples.push({ t: elapsed(), data });
+    },
+    // Application events (selections, layout changes) for later analysis
+    recordEvent(type, detail = {}) {
+      if (session) session.events.push({ t: elapsed(), type, ...detail });
+    },
+    stop() {
+      const finished = session;
+      if (finished) finished.durationMs = elapsed();
+      session = null;
+      return finished;
+    },
+    isRecording: () => session !== null
+  };
+}
+
+function downloadSession(session) {
+  const stamp = session.recordedAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `aac-session-${stamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Parse and validate a session file, throws with a readable message
+function parseSessionFile(text) {
+  const session = JSON.parse(text);
+  if (!session || session.app !== 'aac-pictos' || !Array.isArray(session.samples)) {
+    throw new Error('Not an AAC Pictos session file');
+  }
+  if (session.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session version ${session.version}`);
+  }
+  return session;
+}
+
+// Replays recorded samples through onMessage, keeping their relative timing
+// divided by the speed factor.
+function createSessionReplayer({ onMessage, onStart, onEnd }) {
+  let timer = null;
+  let playing = false;
+
+  function finish(completed) {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing) return;
+    playing = false;
+    if (onEnd) onEnd(completed);
+  }
+
+  return {
+    play(session, speed = 1) {
+      finish(false);
+      const samples = session.samples;
+      const startedAt = performance.now();
+      let index = 0;
+      playing = true;
+      if (onStart) onStart(session);
+
+      const tick = () => {
+        const now = (performance.now() - startedAt) * speed;
+        // Dispatch every sample that is due (keeps bursts together)
+        while (index < samples.length && samples[index].t <= now) {
+          onMessage(samples[index].data);
+          index++;
+        }
+        if (index >= samples.length) {
+          finish(true);
+          return;
+        }
+        const wait = Math.max(0, (samples[index].t - now) / speed);
+        timer = setTimeout(tick, wait);
+      };
+      tick();
+    },
+    stop: () => finish(false),
+    isPlaying: () => playing
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SESSION_FORMAT_VERSION, createSessionRecorder, createSessionReplayer, parseSessionFile };
+}
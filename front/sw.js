@@ -0,0 +1,113 @@
+// Service worker for AAC Pictos. Keeps the app, its boards, dictionaries and
+// image packs in Cache Storage so the page still opens (and can be reloaded)
+// without a network connection. Files are always fetched from the network
+// first so updates are picked up, and the cached copy is used when that fails.
+// Requests to the backend proxy and the gaze bridge are never intercepted.
+
+const APP_CACHE_PREFIX = 'aac-pictos-app-';
+const APP_CACHE_NAME = APP_CACHE_PREFIX + 'v6';   // Bump to drop old copies on update
+const NETWORK_TIMEOUT_MS = 4000;   // A hanging network counts as offline
+
+// Cached on install, relative to this file
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'manifest.webmanifest',
+  'translations.js',
+  'gaze-filter.js',
+  'gaze-connection.js',
+  'scanning.js',
+  'gaze-gestures.js',
+  'target-index.js',
+  'dwell.js',
+  'boards.js',
+  'image-pack.js',
+  'board-store.js',
+  'zip.js',
+  'obf.js',
+  'board-editor.js',
+  'session-recorder.js',
+  'calibration.js',
+  'profiles.js',
+  'phrase-history.js',
+  'prediction.js',
+  'keyboard.js',
+  'phrase-generator.js',
+  'phrase-stream.js',
+  'candidates.js',
+  'conversation.js',
+  'alerts.js',
+  'app.js',
+  'caregiver.html',
+  'caregiver.js',
+  'boards/default.json',
+  'dictionaries/es.json',
+  'dictionaries/en.json',
+  'grammar/es.json',
+  'grammar/en.json',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// Image packs cached on install with every image they list
+const IMAGE_PACKS = ['images/basic/pack.json'];
+
+async function cacheImagePack(cache, packUrl) {
+  const url = new URL(packUrl, self.location.href);
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${packUrl}`);
+  await cache.put(url, res.clone());
+  const { images = {} } = await res.json();
+  await cache.addAll(Object.values(images).map(file => new URL(file, url).href));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    // A missing pack must not prevent the app itself from working offline
+    const results = await Promise.allSettled(IMAGE_PACKS.map(url => cacheImagePack(cache, url)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') console.warn(`Could not cache image pack ${IMAGE_PACKS[i]}:`, result.reason.message);
+    });
+    await self.skipWaiting();
+  })());
+});
+
+// Remove copies from older versions (the image cache of image-pack.js is kept)
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE_NAME);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), NETWORK_TIMEOUT_MS);
+  try {
+    const res = await fetch(request, { signal: controller.signal });
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (request.mode === 'navigate' && await cache.match('index.html'));
+    if (cached) return cached;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Only the app's own files: proxy requests keep their own offline handling
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(networkFirst(request));
+});
@@ -0,0 +1,107 @@
+// Spatial index of dwell targets for AAC Pictos. Caches the rectangles of the
+// cards and action buttons in a uniform grid so each gaze sample is resolved
+// without probing the DOM, picks the nearest target within a tolerance and
+// keeps the current target (hysteresis) until gaze clearly moves away.
+
+const TARGET_INDEX_DEFAULTS = {
+  tolerance: 30,      // px around a target that still counts as a hit
+  hysteresis: 40,     // px the gaze may leave the current target before switching
+  cellSize: 120       // Grid cell size in px
+};
+
+// Distance from a point to a rectangle (0 when inside)
+function distanceToRect(x, y, rect) {
+  const dx = Math.max(rect.left - x, 0, x - rect.right);
+  const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+  return Math.hypot(dx, dy);
+}
+
+// getTargets() returns [{ element, action }] for every selectable target
+function createTargetIndex({ getTargets, ...options }) {
+  const config = { ...TARGET_INDEX_DEFAULTS, ...options };
+  let entries = [];
+  let grid = new Map();
+  let dirty = true;
+
+  function cellKey(col, row) {
+    return col + ':' + row;
+  }
+
+  function rebuild() {
+    entries = [];
+    grid = new Map();
+    getTargets().forEach(({ element, action }) => {
+      const r = element.getBoundingClientRect();
+      // Hidden targets have no box
+      if (!r.width || !r.height) return;
+      const entry = { element, action, rect: { left: r.left, top: r.top, right: r.right, bottom: r.bottom } };
+      entries.push(entry);
+
+      // Register in every cell the target (plus the maximum reach) overlaps
+      const reach = Math.max(config.tolerance, config.hysteresis);
+      const c0 = Math.floor((r.left - reach) / config.cellSize);
+      const c1 = Math.floor((r.right + reach) / config.cellSize);
+      const r0 = Math.floor((r.top - reach) / config.cellSize);
+      const r1 = Math.floor((r.bottom + reach) / config.cellSize);
+      for (let col = c0; col <= c1; col++) {
+        for (let row = r0; row <= r1; row++) {
+          const key = cellKey(col, row);
+          if (!grid.has(key)) grid.set(key, []);
+          grid.get(key).push(entry);
+        }
+      }
+    });
+    dirty = false;
+  }
+
+  function candidatesAt(x, y) {
+    if (dirty) rebuild();
+    return grid.get(cellKey(Math.floor(x / config.cellSize), Math.floor(y / config.cellSize))) || [];
+  }
+
+  // Resolve (x, y) to a target. `current` is the element being dwelled on, if any.
+  function findTarget(x, y, current) {
+    const candidates = candidatesAt(x, y);
+
+    // Sticky targeting: keep the current target while gaze stays within the
+    // hysteresis margin around it, even if a neighbour is nearer
+    if (current) {
+      const entry = candidates.find(e => e.element === current);
+      if (entry && distanceToRect(x, y, entry.rect) <= config.hysteresis) {
+        return { element: entry.element, action: entry.action };
+      }
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(entry => {
+      const d = distanceToRect(x, y, entry.rect);
+      if (d <= config.tolerance && d < bestDistance) {
+        best = entry;
+        bestDistance = d;
+      }
+    });
+    return best ? { element: best.element, action: best.action } : null;
+  }
+
+  return {
+    findTarget,
+    // Layout changed (resize, re-render, language switch): rebuild on next lookup
+    invalidate() {
+      dirty = true;
+    },
+    configure(options) {
+      Object.assign(config, options);
+      dirty = true;
+    },
+    size() {
+      if (dirty) rebuild();
+      return entries.length;
+    }
+  };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TARGET_INDEX_DEFAULTS, distanceToRect, createTargetIndex };
+}
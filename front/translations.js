@@ -2,11 +2,16 @@
 const translations = {
   es: {
     title: "AAC · Tobii + IA (Vanilla JS) + Gaze Cursor",
-    subtitle: "Mira un pictograma → elige 3 → generamos frase → la leemos.",
+    subtitle: "Mira los pictogramas → elige «Generar frase» → la leemos.",
     subtitleExtra: "Ahora con <strong>puntero de mirada</strong> visible.",
-    connectButton: "Conectar Tobii (ws://127.0.0.1:8765)",
-    statusDisconnected: "Desconectado",
-    statusConnected: "Conectado",
+    connectButton: "Reconectar Tobii (ws://127.0.0.1:8765)",
+    gazeStatus: {
+      connecting: "Conectando...",
+      live: "En vivo",
+      stale: "Sin datos de mirada",
+      lost: "Conexión perdida",
+      replay: "Reproduciendo sesión"
+    },
     azureLabel: "Azure OpenAI:",
     azureVerifying: "Verificando...",
     azureConnected: "Conectado",
@@ -16,46 +21,39 @@ const translations = {
     opacity: "Opacidad:",
     smoothness: "Suavidad:",
     dwellTime: "Tiempo dwell:",
+    dwellGrace: "Margen dwell:",
+    targetTolerance: "Tolerancia:",
+    inputMode: "Modo:",
+    scanPattern: "Barrido:",
+    scanSpeed: "Velocidad:",
+    blinkDuration: "Parpadeo:",
+    gazeGestures: "Gestos de mirada:",
+    maxPictograms: "Máx. pictogramas:",
+    speakSingle: "Leer directo si hay uno:",
+    chooseCandidates: "Elegir entre varias frases:",
+    predictionLabel: "Sugerencias:",
+    keyboardLayout: "Teclado:",
+    inputModes: {
+      dwell: "Mirada (dwell)",
+      blink: "Mirada + parpadeo",
+      "scan-auto": "Barrido 1 pulsador",
+      "scan-step": "Barrido 2 pulsadores"
+    },
+    scanPatterns: {
+      linear: "Lineal",
+      "row-column": "Filas y columnas"
+    },
+    calibrateButton: "Calibrar",
+    calibrationPoints: "Puntos de calibración",
     boardLabel: "Tablero de pictogramas",
     placeholder: "Aquí aparecerá la frase…",
     clearButton: "Limpiar",
     speakButton: "Leer en voz alta",
+    undoButton: "Deshacer",
+    doneButton: "Generar frase",
+    removeChip: "Quitar «{label}»",
     hint: "Sin Tobii, simula la mirada dejando el puntero 2.5s sobre un pictograma. El cursor verde seguirá tu mirada para facilitar el uso.",
     footer: "Aplicación AAC con IA integrada. Las credenciales están seguras en el servidor backend.",
-    pictograms: {
-      yo: "Yo",
-      tu: "Tú", 
-      agua: "Vaso de agua",
-      comida: "Plato de comida",
-      si: "Sí",
-      no: "No",
-      baño: "Ir al baño",
-      tele: "Ver televisión",
-      dormir: "Quiero dormir",
-      ayuda: "Necesito ayuda",
-      dolor: "Me duele algo",
-      calor: "Tengo calor"
-    },
-    tags: {
-      persona: "persona",
-      interlocutor: "interlocutor",
-      beber: "beber",
-      plato: "plato",
-      confirmar: "confirmar",
-      negar: "negar",
-      necesidad: "necesidad",
-      baño: "baño",
-      entretenimiento: "entretenimiento",
-      ver: "ver",
-      descanso: "descanso",
-      sueño: "sueño",
-      asistencia: "asistencia",
-      socorro: "socorro",
-      malestar: "malestar",
-      dolor: "dolor",
-      temperatura: "temperatura",
-      calor: "calor"
-    },
     messages: {
       connecting: "Conectando...",
       connected: "Conectado a Tobii",
@@ -63,19 +61,177 @@ const translations = {
       connectionError: "Error de conexión",
       aiProcessing: "Procesando con IA...",
       aiError: "Error al generar frase",
+      aiCancelled: "Generación cancelada",
+      offline: "Sin conexión",
+      offlineLocal: "Sin conexión: generación local ✓",
       aiSuccess: "Frase generada",
       speechStart: "Reproduciendo...",
       speechEnd: "Reproducción completada",
       speechError: "Error en síntesis de voz"
+    },
+    board: {
+      navLabel: "Navegación del tablero",
+      home: "Inicio",
+      back: "Atrás",
+      prevPage: "Anterior",
+      nextPage: "Siguiente",
+      page: "Página {current}/{total}",
+      items: "{count} pictogramas",
+      loadError: "No se pudo cargar el tablero"
+    },
+    editor: {
+      open: "✏️ Editar tablero",
+      title: "Editor de tablero",
+      board: "Tablero",
+      close: "Cerrar",
+      add: "+ Añadir pictograma",
+      reset: "Restaurar tablero original",
+      edit: "Editar",
+      delete: "Eliminar",
+      folder: "Carpeta",
+      label: "Etiqueta",
+      tags: "Etiquetas de búsqueda",
+      emoji: "Emoji",
+      image: "Imagen",
+      removeImage: "Quitar imagen",
+      savePictogram: "Guardar pictograma",
+      cancel: "Cancelar",
+      confirmDelete: "¿Eliminar \"{name}\" de este tablero?",
+      confirmReset: "Se perderán todos los cambios del tablero. ¿Continuar?",
+      imageError: "No se pudo leer la imagen",
+      saveError: "No se pudieron guardar los cambios en este navegador",
+      exportError: "No se pudo exportar el tablero",
+      import: "Importar OBF/OBZ",
+      exportObz: "Exportar todo (.obz)",
+      exportObf: "Exportar este tablero (.obf)",
+      confirmImport: "El tablero importado sustituirá al tablero actual. ¿Continuar?",
+      importError: "No se pudo importar el archivo: {error}",
+      importDone: "Tablero importado: {boards} tablero(s), {pictograms} pictograma(s).",
+      importUnsupported: "Algunas funciones de OBF no se pueden representar:",
+      obfWarnings: {
+        action: "{count} botón(es) con acciones especiales (borrar, deletrear…) no se han importado",
+        colors: "{count} botón(es) con colores: los colores no se conservan",
+        externalLink: "{count} enlace(s) a tableros que no están en el archivo no se han importado",
+        gridGaps: "Las celdas vacías de la cuadrícula se han eliminado ({count} tablero(s))",
+        hidden: "{count} botón(es) ocultos no se han importado",
+        missingImage: "{count} imagen(es) no disponibles (símbolos con licencia o archivos que faltan): se muestra solo el texto",
+        offGrid: "Los botones fuera de la cuadrícula no se han importado ({count} tablero(s))",
+        remoteImage: "{count} imagen(es) enlazadas desde internet: solo se ven con conexión",
+        sound: "{count} botón(es) con sonido grabado: se usa la voz sintetizada",
+        unlabeled: "{count} botón(es) sin texto no se han importado",
+        vocalization: "{count} botón(es) dicen un texto distinto de su etiqueta: se usa la etiqueta"
+      }
+    },
+    calibration: {
+      instructions: "Mira el punto hasta que el círculo se cierre ({current}/{total})",
+      cancelHint: "Pulsa Esc para cancelar",
+      notCalibrated: "Sin calibrar",
+      accuracy: "Precisión:",
+      good: "buena",
+      fair: "aceptable",
+      poor: "recalibrar",
+      unrated: "Calibrado · precisión sin medir",
+      failed: "Calibración fallida, repite",
+      needsGaze: "Conecta Tobii para calibrar"
+    },
+    session: {
+      record: "⏺ Grabar sesión",
+      stopRecording: "⏹ Detener y descargar",
+      replay: "▶ Reproducir sesión",
+      stopReplay: "⏹ Detener reproducción",
+      replaySpeed: "Velocidad de reproducción",
+      invalidFile: "Archivo de sesión no válido"
+    },
+    alert: {
+      ack: "✋ Atendido",
+      sending: "Avisando a los cuidadores…",
+      sent: "Aviso enviado a {count} cuidador(es)",
+      noCaregivers: "Ningún cuidador conectado: la alarma sigue sonando aquí",
+      notSent: "No se pudo avisar a los cuidadores: la alarma sigue sonando aquí",
+      caregiverPage: "🔔 Avisos para cuidadores"
+    },
+    caregiver: {
+      title: "Avisos para cuidadores",
+      enableSound: "🔈 Activar sonido",
+      connecting: "Conectando...",
+      connected: "Conectado: esperando avisos",
+      disconnected: "Sin conexión con el proxy, reintentando...",
+      unsupported: "Este navegador no puede recibir avisos",
+      ackFailed: "No se pudo marcar como atendido",
+      noAlerts: "No hay avisos pendientes.",
+      by: "Cuidador"
+    },
+    conversation: {
+      label: "Conversación con el cuidador",
+      inputLabel: "Lo que dice el cuidador",
+      placeholder: "El cuidador dice…",
+      listen: "🎤 Escuchar",
+      listening: "⏹ Parar",
+      add: "Añadir",
+      new: "Nueva conversación",
+      caregiver: "Cuidador",
+      user: "Yo",
+      unavailable: "No se pudo guardar en la conversación (proxy no disponible)"
+    },
+    candidates: {
+      label: "Frases propuestas",
+      prompt: "¿Qué quieres decir?",
+      none: "Ninguna de estas",
+      kinds: {
+        statement: "Afirmación",
+        question: "Pregunta",
+        request: "Petición"
+      }
+    },
+    keyboard: {
+      label: "Teclado",
+      open: "Teclado",
+      close: "Pictogramas",
+      space: "Espacio",
+      backspace: "Borrar",
+      add: "Añadir",
+      say: "Decir"
+    },
+    prediction: {
+      stripLabel: "Pictogramas sugeridos",
+      reset: "Reiniciar sugerencias",
+      confirmReset: "¿Olvidar todo lo aprendido de los mensajes de «{name}»?"
+    },
+    phrases: {
+      open: "⭐ Frases guardadas",
+      title: "Frases guardadas",
+      stripLabel: "Frases favoritas y recientes",
+      empty: "Todavía no hay frases. Cada frase generada se guarda aquí.",
+      uses: "{count} usos",
+      pin: "Fijar como favorita",
+      unpin: "Quitar de favoritas",
+      editPrompt: "Texto de la frase:",
+      confirmDelete: "¿Eliminar la frase «{text}»?"
+    },
+    profile: {
+      label: "Usuario:",
+      defaultName: "Usuario principal",
+      new: "＋ Nuevo usuario",
+      export: "Exportar perfil",
+      import: "Importar perfil",
+      delete: "Eliminar usuario",
+      namePrompt: "Nombre del nuevo usuario (empezará con los ajustes actuales):",
+      confirmDelete: "¿Eliminar el usuario «{name}» con sus ajustes y su calibración?",
+      invalidFile: "Archivo de perfil no válido"
     }
   },
   en: {
     title: "AAC · Tobii + AI (Vanilla JS) + Gaze Cursor",
-    subtitle: "Look at a pictogram → choose 3 → we generate sentence → we read it.",
+    subtitle: "Look at the pictograms → choose “Generate sentence” → we read it.",
     subtitleExtra: "Now with visible <strong>gaze pointer</strong>.",
-    connectButton: "Connect Tobii (ws://127.0.0.1:8765)",
-    statusDisconnected: "Disconnected",
-    statusConnected: "Connected",
+    connectButton: "Reconnect Tobii (ws://127.0.0.1:8765)",
+    gazeStatus: {
+      connecting: "Connecting...",
+      live: "Live",
+      stale: "No gaze data",
+      lost: "Connection lost",
+      replay: "Replaying session"
+    },
     azureLabel: "Azure OpenAI:",
     azureVerifying: "Verifying...",
     azureConnected: "Connected",
@@ -85,46 +241,39 @@ const translations = {
     opacity: "Opacity:",
     smoothness: "Smoothness:",
     dwellTime: "Dwell time:",
+    dwellGrace: "Dwell grace:",
+    targetTolerance: "Tolerance:",
+    inputMode: "Mode:",
+    scanPattern: "Scanning:",
+    scanSpeed: "Speed:",
+    blinkDuration: "Blink:",
+    gazeGestures: "Gaze gestures:",
+    maxPictograms: "Max. pictograms:",
+    speakSingle: "Speak single pictogram directly:",
+    chooseCandidates: "Choose among several phrases:",
+    predictionLabel: "Suggestions:",
+    keyboardLayout: "Keyboard:",
+    inputModes: {
+      dwell: "Gaze (dwell)",
+      blink: "Gaze + blink",
+      "scan-auto": "1-switch scanning",
+      "scan-step": "2-switch scanning"
+    },
+    scanPatterns: {
+      linear: "Linear",
+      "row-column": "Row-column"
+    },
+    calibrateButton: "Calibrate",
+    calibrationPoints: "Calibration points",
     boardLabel: "Pictogram board",
     placeholder: "The sentence will appear here…",
     clearButton: "Clear",
     speakButton: "Read aloud",
+    undoButton: "Undo",
+    doneButton: "Generate sentence",
+    removeChip: "Remove “{label}”",
     hint: "Without Tobii, simulate gaze by leaving the pointer 2.5s over a pictogram. The green cursor will follow your gaze for easier use.",
     footer: "AAC application with integrated AI. Credentials are secure on the backend server.",
-    pictograms: {
-      yo: "Me",
-      tu: "You",
-      agua: "Glass of water", 
-      comida: "Plate of food",
-      si: "Yes",
-      no: "No",
-      baño: "Go to bathroom",
-      tele: "Watch television",
-      dormir: "I want to sleep",
-      ayuda: "I need help",
-      dolor: "Something hurts",
-      calor: "I'm hot"
-    },
-    tags: {
-      persona: "person",
-      interlocutor: "other person",
-      beber: "drink",
-      plato: "plate",
-      confirmar: "confirm",
-      negar: "deny",
-      necesidad: "need",
-      baño: "bathroom",
-      entretenimiento: "entertainment",
-      ver: "watch",
-      descanso: "rest",
-      sueño: "sleep",
-      asistencia: "assistance",
-      socorro: "help",
-      malestar: "discomfort",
-      dolor: "pain",
-      temperatura: "temperature",
-      calor: "heat"
-    },
     messages: {
       connecting: "Connecting...",
       connected: "Connected to Tobii",
@@ -132,10 +281,163 @@ const translations = {
       connectionError: "Connection error",
       aiProcessing: "Processing with AI...",
       aiError: "Error generating sentence",
+      aiCancelled: "Generation cancelled",
+      offline: "Offline",
+      offlineLocal: "Offline: generated locally ✓",
       aiSuccess: "Sentence generated",
       speechStart: "Playing...",
       speechEnd: "Playback completed",
       speechError: "Speech synthesis error"
+    },
+    board: {
+      navLabel: "Board navigation",
+      home: "Home",
+      back: "Back",
+      prevPage: "Previous",
+      nextPage: "Next",
+      page: "Page {current}/{total}",
+      items: "{count} pictograms",
+      loadError: "Could not load the board"
+    },
+    editor: {
+      open: "✏️ Edit board",
+      title: "Board editor",
+      board: "Board",
+      close: "Close",
+      add: "+ Add pictogram",
+      reset: "Restore original board",
+      edit: "Edit",
+      delete: "Delete",
+      folder: "Folder",
+      label: "Label",
+      tags: "Search tags",
+      emoji: "Emoji",
+      image: "Image",
+      removeImage: "Remove image",
+      savePictogram: "Save pictogram",
+      cancel: "Cancel",
+      confirmDelete: "Remove \"{name}\" from this board?",
+      confirmReset: "All changes to the board will be lost. Continue?",
+      imageError: "Could not read the image",
+      saveError: "Could not save the changes in this browser",
+      exportError: "Could not export the board",
+      import: "Import OBF/OBZ",
+      exportObz: "Export all (.obz)",
+      exportObf: "Export this board (.obf)",
+      confirmImport: "The imported board will replace the current board. Continue?",
+      importError: "Could not import the file: {error}",
+      importDone: "Board imported: {boards} board(s), {pictograms} pictogram(s).",
+      importUnsupported: "Some OBF features cannot be represented:",
+      obfWarnings: {
+        action: "{count} button(s) with special actions (clear, spelling…) were not imported",
+        colors: "{count} button(s) with colours: colours are not kept",
+        externalLink: "{count} link(s) to boards that are not in the file were not imported",
+        gridGaps: "Empty grid cells were removed ({count} board(s))",
+        hidden: "{count} hidden button(s) were not imported",
+        missingImage: "{count} image(s) not available (licensed symbols or missing files): only the text is shown",
+        offGrid: "Buttons outside the grid were not imported ({count} board(s))",
+        remoteImage: "{count} image(s) linked from the internet: only shown when online",
+        sound: "{count} button(s) with recorded sound: synthesized speech is used instead",
+        unlabeled: "{count} button(s) without text were not imported",
+        vocalization: "{count} button(s) say something different from their label: the label is used"
+      }
+    },
+    calibration: {
+      instructions: "Look at the dot until the circle closes ({current}/{total})",
+      cancelHint: "Press Esc to cancel",
+      notCalibrated: "Not calibrated",
+      accuracy: "Accuracy:",
+      good: "good",
+      fair: "fair",
+      poor: "recalibrate",
+      unrated: "Calibrated · accuracy not measured",
+      failed: "Calibration failed, try again",
+      needsGaze: "Connect Tobii to calibrate"
+    },
+    session: {
+      record: "⏺ Record session",
+      stopRecording: "⏹ Stop and download",
+      replay: "▶ Replay session",
+      stopReplay: "⏹ Stop replay",
+      replaySpeed: "Replay speed",
+      invalidFile: "Invalid session file"
+    },
+    alert: {
+      ack: "✋ Acknowledge",
+      sending: "Notifying caregivers…",
+      sent: "Alert sent to {count} caregiver(s)",
+      noCaregivers: "No caregiver connected: the alarm keeps sounding here",
+      notSent: "Caregivers could not be notified: the alarm keeps sounding here",
+      caregiverPage: "🔔 Caregiver alerts"
+    },
+    caregiver: {
+      title: "Caregiver alerts",
+      enableSound: "🔈 Enable sound",
+      connecting: "Connecting...",
+      connected: "Connected: waiting for alerts",
+      disconnected: "No connection to the proxy, retrying...",
+      unsupported: "This browser cannot receive alerts",
+      ackFailed: "Could not mark as handled",
+      noAlerts: "No pending alerts.",
+      by: "Caregiver"
+    },
+    conversation: {
+      label: "Conversation with the caregiver",
+      inputLabel: "What the caregiver says",
+      placeholder: "The caregiver says…",
+      listen: "🎤 Listen",
+      listening: "⏹ Stop",
+      add: "Add",
+      new: "New conversation",
+      caregiver: "Caregiver",
+      user: "Me",
+      unavailable: "Could not save to the conversation (proxy not available)"
+    },
+    candidates: {
+      label: "Proposed phrases",
+      prompt: "What do you want to say?",
+      none: "None of these",
+      kinds: {
+        statement: "Statement",
+        question: "Question",
+        request: "Request"
+      }
+    },
+    keyboard: {
+      label: "Keyboard",
+      open: "Keyboard",
+      close: "Pictograms",
+      space: "Space",
+      backspace: "Delete",
+      add: "Add",
+      say: "Say"
+    },
+    prediction: {
+      stripLabel: "Suggested pictograms",
+      reset: "Reset suggestions",
+      confirmReset: "Forget everything learned from the messages of “{name}”?"
+    },
+    phrases: {
+      open: "⭐ Saved phrases",
+      title: "Saved phrases",
+      stripLabel: "Favorite and recent phrases",
+      empty: "No phrases yet. Every generated phrase is saved here.",
+      uses: "{count} uses",
+      pin: "Pin as favorite",
+      unpin: "Remove from favorites",
+      editPrompt: "Phrase text:",
+      confirmDelete: "Delete the phrase “{text}”?"
+    },
+    profile: {
+      label: "User:",
+      defaultName: "Main user",
+      new: "＋ New user",
+      export: "Export profile",
+      import: "Import profile",
+      delete: "Delete user",
+      namePrompt: "Name of the new user (starts with the current settings):",
+      confirmDelete: "Delete the user “{name}” with their settings and calibration?",
+      invalidFile: "Invalid profile file"
     }
   }
 };
@@ -165,6 +467,21 @@ function t(key) {
   return value || key;
 }
 
+// Pick the current language from a { es, en } value (board files, user data).
+// Plain strings and arrays are returned as they are.
+function localize(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object' || Array.isArray(value)) return value;
+  return value[currentLanguage] ?? value.es ?? Object.values(value)[0] ?? '';
+}
+
+// Card subtitle: translated tags, or the item count for folders
+function pictogramSubtitle(item) {
+  if (item.type === 'folder') return t('board.items').replace('{count}', item.count);
+  const tags = localize(item.tags);
+  return Array.isArray(tags) ? tags.join(', ') : tags;
+}
+
 // Set language and update interface
 function setLanguage(lang) {
   if (translations[lang]) {
@@ -192,11 +509,6 @@ function updateInterface() {
   const connectBtn = document.getElementById('connect');
   if (connectBtn) connectBtn.textContent = t('connectButton');
   
-  const status = document.getElementById('status');
-  if (status && status.textContent.includes('Desconectado') || status.textContent.includes('Disconnected')) {
-    status.textContent = t('statusDisconnected');
-  }
-  
   const azureLabel = document.querySelector('.azure-label');
   if (azureLabel) azureLabel.textContent = t('azureLabel');
   
@@ -208,6 +520,18 @@ function updateInterface() {
   const retryBtn = document.getElementById('retry-azure');
   if (retryBtn) retryBtn.textContent = t('retryButton');
   
+  const calibrateBtn = document.getElementById('calibrate');
+  if (calibrateBtn) calibrateBtn.textContent = t('calibrateButton');
+  
+  const calibrationPoints = document.getElementById('calibrationPoints');
+  if (calibrationPoints) calibrationPoints.setAttribute('aria-label', t('calibrationPoints'));
+  
+  const replaySpeed = document.getElementById('replaySpeed');
+  if (replaySpeed) replaySpeed.setAttribute('aria-label', t('session.replaySpeed'));
+  
+  const calibrationHint = document.querySelector('.calibration-hint');
+  if (calibrationHint) calibrationHint.textContent = t('calibration.cancelHint');
+  
   // Update control labels
   updateControlLabels();
   
@@ -232,6 +556,48 @@ function updateInterface() {
     if (span) span.textContent = t('speakButton');
   }
   
+  ['undo', 'done'].forEach(id => {
+    const span = document.querySelector(`#${id} span`);
+    if (span) span.textContent = t(`${id}Button`);
+  });
+  
+  // Update board navigation buttons
+  const boardNavEl = document.querySelector('.board-nav');
+  if (boardNavEl) boardNavEl.setAttribute('aria-label', t('board.navLabel'));
+  ['home', 'back', 'prevPage', 'nextPage'].forEach(id => {
+    const span = document.querySelector(`#${id} span`);
+    if (span) span.textContent = t(`board.${id}`);
+  });
+  
+  // Update elements that declare their own translation key
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  
+  const phraseStrip = document.getElementById('phraseStrip');
+  if (phraseStrip) phraseStrip.setAttribute('aria-label', t('phrases.stripLabel'));
+  
+  const suggestions = document.getElementById('suggestions');
+  if (suggestions) suggestions.setAttribute('aria-label', t('prediction.stripLabel'));
+  
+  const keyboardPanel = document.getElementById('keyboardPanel');
+  if (keyboardPanel) keyboardPanel.setAttribute('aria-label', t('keyboard.label'));
+  
+  const candidates = document.getElementById('candidates');
+  if (candidates) candidates.setAttribute('aria-label', t('candidates.label'));
+  
+  const conversation = document.getElementById('conversation');
+  if (conversation) conversation.setAttribute('aria-label', t('conversation.label'));
+  
+  const caregiverTurn = document.getElementById('caregiverTurn');
+  if (caregiverTurn) {
+    caregiverTurn.setAttribute('aria-label', t('conversation.inputLabel'));
+    caregiverTurn.placeholder = t('conversation.placeholder');
+  }
+  
+  const editorBoard = document.getElementById('editorBoard');
+  if (editorBoard) editorBoard.setAttribute('aria-label', t('editor.board'));
+  
   // Update hint
   const hint = document.querySelector('.hint');
   if (hint) hint.textContent = t('hint');
@@ -246,7 +612,7 @@ function updateInterface() {
 
 function updateControlLabels() {
   const labels = document.querySelectorAll('.cursorctl');
-  const labelKeys = ['cursorSize', 'opacity', 'smoothness', 'dwellTime'];
+  const labelKeys = ['cursorSize', 'opacity', 'smoothness', 'dwellTime', 'dwellGrace', 'targetTolerance', 'inputMode', 'scanPattern', 'scanSpeed', 'blinkDuration', 'gazeGestures', 'maxPictograms', 'speakSingle', 'chooseCandidates', 'predictionLabel', 'keyboardLayout'];
   
   labels.forEach((label, index) => {
     if (labelKeys[index]) {
@@ -256,33 +622,37 @@ function updateControlLabels() {
       }
     }
   });
+  
+  document.querySelectorAll('#inputMode option').forEach(option => {
+    option.textContent = t(`inputModes.${option.value}`);
+  });
+  document.querySelectorAll('#scanPattern option').forEach(option => {
+    option.textContent = t(`scanPatterns.${option.value}`);
+  });
 }
 
 function updatePictogramLabels() {
   const cards = document.querySelectorAll('.card');
   cards.forEach(card => {
     const key = card.dataset.key;
-    if (key && translations[currentLanguage].pictograms[key]) {
-      const label = card.querySelector('.label');
-      if (label) {
-        label.textContent = t(`pictograms.${key}`);
-      }
-      
-      // Update tags as well
-      const tagsElement = card.querySelector('p');
-      if (tagsElement) {
-        // Get the original tags from PICTOS array
-        const picto = window.PICTOS && window.PICTOS.find(p => p.key === key);
-        if (picto && picto.tags) {
-          const translatedTags = picto.tags.map(tag => t(`tags.${tag}`)).join(', ');
-          tagsElement.textContent = translatedTags;
-        }
-      }
+    // Labels come from the loaded board file (findPictogram in app.js)
+    const item = key && window.findPictogram && window.findPictogram(key);
+    if (!item) return;
+    
+    const label = card.querySelector('.label');
+    if (label) {
+      label.textContent = localize(item.label);
+    }
+    
+    // Update tags as well
+    const tagsElement = card.querySelector('p');
+    if (tagsElement) {
+      tagsElement.textContent = pictogramSubtitle(item);
     }
   });
 }
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { translations, t, setLanguage, updateInterface, detectLanguage };
+  module.exports = { translations, t, localize, setLanguage, updateInterface, detectLanguage };
 }
\ No newline at end of file
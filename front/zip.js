@@ -0,0 +1,138 @@
+// Minimal ZIP support for AAC Pictos board packages (.obz). Reading handles
+// stored and deflated entries (inflated with the browser's
+// DecompressionStream); writing stores entries uncompressed, which is valid
+// for every ZIP reader and fine for already-compressed images.
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a ZIP archive into a Map of entry name -> Uint8Array (directories skipped)
+async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits at the end, before an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a ZIP file');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      files.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+  }
+  return files;
+}
+
+// Build a ZIP Blob from [{ name, data }] where data is a string or Uint8Array
+function createZip(entries, type = 'application/zip') {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const content = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, ZIP_UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, content);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, ZIP_CENTRAL_SIGNATURE, true);
+    record.setUint16(4, 20, true);
+    record.setUint16(6, 20, true);
+    record.setUint16(8, ZIP_UTF8_FLAG, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, dosTime, true);
+    record.setUint16(14, dosDate, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, content.length, true);
+    record.setUint32(24, content.length, true);
+    record.setUint16(28, nameBytes.length, true);
+    record.setUint32(42, offset, true);
+    central.push(record, nameBytes);
+
+    offset += 30 + nameBytes.length + content.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { crc32, readZip, createZip };
+}